@@ -0,0 +1,377 @@
+// QR code generator ---------------------------------------------------------
+/**
+ * Generates QR codes in the browser so share links can be scanned without sending
+ * them to an external service.
+ *
+ * Text is encoded as UTF-8 in byte mode, in the smallest version (1 to 40) that
+ * fits at the requested error correction level, and the mask with the lowest
+ * penalty is chosen as the standard describes.
+ *
+ * createQrCode(text, level) returns the modules as rows of booleans (true is dark),
+ * without the quiet zone.
+ */
+
+const QR_LEVELS = { L: 0, M: 1, Q: 2, H: 3 };
+
+// The format bits of each error correction level, in QR_LEVELS order
+const QR_LEVEL_BITS = [1, 0, 3, 2];
+
+// Error correction codewords per block and number of blocks, by level and version (index 0 is unused)
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const QR_ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Returns the number of modules that hold data and error correction bits in a version.
+ *
+ * @param {number} version - The QR version from 1 to 40.
+ * @returns {number} - The number of data modules.
+ */
+const getRawDataModules = (version) => {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+};
+
+/**
+ * Returns the number of data codewords a version holds at an error correction level.
+ *
+ * @param {number} version - The QR version from 1 to 40.
+ * @param {number} level - The index of the level in QR_LEVELS.
+ * @returns {number} - The number of data codewords.
+ */
+const getDataCodewords = (version, level) => {
+    return Math.floor(getRawDataModules(version) / 8) - QR_ECC_CODEWORDS_PER_BLOCK[level][version] * QR_ECC_BLOCKS[level][version];
+};
+
+/**
+ * Returns the centre positions of the alignment patterns on each axis.
+ *
+ * @param {number} version - The QR version from 1 to 40.
+ * @returns {Array} - The positions, empty for version 1.
+ */
+const getAlignmentPositions = (version) => {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const size = version * 4 + 17;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+};
+
+/**
+ * Multiplies two numbers in GF(256) with the QR code polynomial.
+ *
+ * @param {number} x - The first number.
+ * @param {number} y - The second number.
+ * @returns {number} - The product.
+ */
+const gfMultiply = (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+};
+
+/**
+ * Computes the Reed-Solomon error correction codewords of a block.
+ *
+ * @param {Array} data - The data codewords of the block.
+ * @param {number} degree - The number of error correction codewords.
+ * @returns {Array} - The error correction codewords.
+ */
+const getErrorCorrection = (data, degree) => {
+    // The generator polynomial, highest coefficient first and the leading 1 left out
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            divisor[j] = gfMultiply(divisor[j], root);
+            if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+
+    const result = new Array(degree).fill(0);
+    data.forEach((codeword) => {
+        const factor = codeword ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+};
+
+/**
+ * Builds the codewords of the text: the byte mode segment padded to the capacity
+ * of the version, split into blocks with their error correction and interleaved.
+ *
+ * @param {Uint8Array} bytes - The UTF-8 bytes of the text.
+ * @param {number} version - The QR version from 1 to 40.
+ * @param {number} level - The index of the level in QR_LEVELS.
+ * @returns {Array} - The codewords in the order they are placed.
+ */
+const buildCodewords = (bytes, version, level) => {
+    const capacity = getDataCodewords(version, level);
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    appendBits(0b0100, 4);
+    appendBits(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => appendBits(byte, 8));
+    appendBits(0, Math.min(4, capacity * 8 - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+    }
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) {
+        data.push(pad);
+    }
+
+    // Split into blocks, the later ones holding one more codeword when the data does not divide evenly
+    const blockCount = QR_ECC_BLOCKS[level][version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[level][version];
+    const shortBlocks = blockCount - capacity % blockCount;
+    const shortLength = Math.floor(capacity / blockCount);
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blockCount; i++) {
+        const length = shortLength + (i < shortBlocks ? 0 : 1);
+        const block = data.slice(offset, offset + length);
+        offset += length;
+        blocks.push({ data: block, ecc: getErrorCorrection(block, eccLength) });
+    }
+
+    const result = [];
+    for (let i = 0; i <= shortLength; i++) {
+        blocks.forEach((block) => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < eccLength; i++) {
+        blocks.forEach((block) => result.push(block.ecc[i]));
+    }
+    return result;
+};
+
+/**
+ * Scores how hard a symbol is to read, using the four penalty rules of the standard.
+ *
+ * @param {Array} modules - The rows of modules.
+ * @returns {number} - The penalty, lower is better.
+ */
+const getPenalty = (modules) => {
+    const size = modules.length;
+    const finderLike = ["10111010000", "00001011101"];
+    let penalty = 0;
+    let dark = 0;
+
+    for (let i = 0; i < size; i++) {
+        const lines = [modules[i], modules.map((row) => row[i])];
+        lines.forEach((line) => {
+            // Runs of five or more modules of the same colour
+            let run = 1;
+            for (let j = 1; j <= size; j++) {
+                if (j < size && line[j] === line[j - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+
+            // Patterns that look like a finder pattern
+            const text = line.map((module) => (module ? "1" : "0")).join("");
+            finderLike.forEach((pattern) => {
+                for (let j = text.indexOf(pattern); j !== -1; j = text.indexOf(pattern, j + 1)) {
+                    penalty += 40;
+                }
+            });
+        });
+
+        for (let j = 0; j < size; j++) {
+            if (modules[i][j]) dark++;
+            // 2x2 blocks of the same colour
+            if (i + 1 < size && j + 1 < size &&
+                modules[i][j] === modules[i][j + 1] &&
+                modules[i][j] === modules[i + 1][j] &&
+                modules[i][j] === modules[i + 1][j + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+
+    // Balance of dark and light modules
+    penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+    return penalty;
+};
+
+/**
+ * Generates a QR code for a text.
+ *
+ * @param {string} text - The text to encode.
+ * @param {string} [levelName="M"] - The error correction level: "L", "M", "Q" or "H".
+ * @returns {Array} - The rows of modules, true for dark.
+ * @throws {Error} - If the text is too long for a QR code at that level.
+ */
+const createQrCode = (text, levelName = "M") => {
+    const level = QR_LEVELS[levelName];
+    const bytes = new TextEncoder().encode(text);
+
+    let version = 1;
+    while (version <= 40 && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > getDataCodewords(version, level) * 8) {
+        version++;
+    }
+    if (version > 40) throw new Error("The text is too long for a QR code.");
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns, except where they would overlap the finder patterns
+    const alignments = getAlignmentPositions(version);
+    alignments.forEach((cy, i) => {
+        alignments.forEach((cx, j) => {
+            const last = alignments.length - 1;
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Format information, drawn again once the mask is chosen
+    const drawFormat = (mask) => {
+        const data = (QR_LEVEL_BITS[level] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+        setFunction(8, 7, bit(6));
+        setFunction(8, 8, bit(7));
+        setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+        setFunction(8, size - 8, true);
+    };
+    drawFormat(0);
+
+    // Version information for version 7 and up
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    // Place the codewords in the zigzag from the bottom right, two columns at a time
+    const codewords = buildCodewords(bytes, version, level);
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (isFunction[y][x] || bitIndex >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                bitIndex++;
+            }
+        }
+    }
+
+    // Try every mask and keep the one with the lowest penalty
+    const applyMask = (mask) => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    };
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    QR_MASKS.forEach((_, mask) => {
+        applyMask(mask);
+        drawFormat(mask);
+        const penalty = getPenalty(modules);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        // Masking twice undoes it
+        applyMask(mask);
+    });
+    applyMask(bestMask);
+    drawFormat(bestMask);
+
+    return modules;
+};
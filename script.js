@@ -1,5 +1,47 @@
 // Global variables ------------------------------------------------------------
+const DEFAULT_PROBABILITY_MODEL = {
+    // Probability values for each rarity type
+    rarityProbabilities: {
+        "Common": 1,
+        "Rare": 0.005,
+        "Legendary": 0.001,
+        "Ultra Beast": 0.0001,
+        "Paradox": 0.00005
+    },
+    // Modifier values for common Pokémon variants
+    commonModifiers: {
+        "Normal": 0.92,
+        "Shiny": 0.01,
+        "Dark": 0.02,
+        "Mystic": 0.02,
+        "Metallic": 0.02,
+        "Shadow": 0.01,
+    },
+    // Modifier values for rare Pokémon variants
+    rareModifiers: {
+        "Normal": 0.6,
+        "Shiny": 0.05,
+        "Dark": 0.1,
+        "Mystic": 0.1,
+        "Metallic": 0.1,
+        "Shadow": 0.05,
+    }
+};
+const VARIANT_ORDER = ["Normal","Shiny", "Dark", "Mystic", "Metallic", "Shadow"];
+const RARITY_ORDER = ["Common", "Rare", "Legendary", "Ultra Beast","Paradox"];
+let masterPokemonList = [];
 let pokemonList = [];
+let orphanedEntries = {};
+let orphanedQuantities = {};
+let pendingImport = null;
+let catchHistory = [];
+let probabilityModel = DEFAULT_PROBABILITY_MODEL;
+let activeProbabilityModel = DEFAULT_PROBABILITY_MODEL;
+let encounterLog = [];
+let calibrationSettings = { enabled: false, priorStrength: 100 };
+let undoStack = [];
+let redoStack = [];
+let openPanel = null;
 let activeFilters = {
     location: "",
     time: "",
@@ -12,15 +54,149 @@ let showCaught = true;
 let caughtPokemon = 0
 let totalPokemon = 0
 let areasArray = {}
+let profiles = {};
+let appSettings = {};
+let changesSinceBackup = 0;
+let rankingSort = { key: "chance", ascending: true };
+let routeRankingRows = [];
+let sessionPlanRows = [];
+let wishlist = { targetMode: false, entries: [], rules: [] };
+let wishlistLocationRows = [];
+let searchLocationRows = [];
+let detailLocationRows = [];
 
 // DOM elements ----------------------------------------------------------------
 const pokedex = document.getElementById("pokedex");
 const textarea = document.getElementById("import-export-textarea");
 const exportBtn = document.getElementById("export-btn");
 const importBtn = document.getElementById("import-btn");
+const importPanel = document.getElementById("import-panel");
+const importMeta = document.getElementById("importMeta");
+const importStrategy = document.getElementById("importStrategy");
+const importSummary = document.getElementById("importSummary");
+const csvFileInput = document.getElementById("csvFileInput");
+const csvPanel = document.getElementById("csv-panel");
+const csvPokemonColumn = document.getElementById("csvPokemonColumn");
+const csvVariantColumn = document.getElementById("csvVariantColumn");
+const csvFixedVariant = document.getElementById("csvFixedVariant");
+const csvCaughtColumn = document.getElementById("csvCaughtColumn");
+const csvOwnedColumn = document.getElementById("csvOwnedColumn");
+const csvReservedColumn = document.getElementById("csvReservedColumn");
+const csvSummary = document.getElementById("csvSummary");
+const csvUnmatched = document.getElementById("csvUnmatched");
+const sharePanel = document.getElementById("share-panel");
+const shareLinkInput = document.getElementById("shareLinkInput");
+const shareQrCode = document.getElementById("shareQrCode");
+const shareSize = document.getElementById("shareSize");
+const shareImportPanel = document.getElementById("share-import-panel");
+const shareImportSummary = document.getElementById("shareImportSummary");
+const shareProfileSelect = document.getElementById("shareProfileSelect");
+const pasteTemplatesPanel = document.getElementById("paste-templates-panel");
+const pasteTemplateSelect = document.getElementById("pasteTemplateSelect");
+const pasteTemplateName = document.getElementById("pasteTemplateName");
+const pasteTemplateText = document.getElementById("pasteTemplateText");
+const pasteTemplateLine = document.getElementById("pasteTemplateLine");
+const pasteTemplateGroup = document.getElementById("pasteTemplateGroup");
+const pasteTemplateGroupHeader = document.getElementById("pasteTemplateGroupHeader");
+const pasteTemplateSeparator = document.getElementById("pasteTemplateSeparator");
+const pasteTemplateMaxLength = document.getElementById("pasteTemplateMaxLength");
+const pasteSourceList = document.getElementById("pasteSourceList");
+const pastePreview = document.getElementById("pastePreview");
+const pastePreviewLength = document.getElementById("pastePreviewLength");
+const deletePasteTemplateButton = document.getElementById("deletePasteTemplateButton");
 const settingsMenu = document.getElementById("settings-menu");
 const settingsOverlay = document.getElementById("settings-overlay");
 const exportToggle = document.getElementById("export-toggle-btn")
+const noticeBanner = document.getElementById("notice-banner");
+const profileSelect = document.getElementById("profileSelect");
+const undoButton = document.getElementById("undoButton");
+const redoButton = document.getElementById("redoButton");
+const backupList = document.getElementById("backupList");
+const backupIntervalInput = document.getElementById("backupIntervalInput");
+const backupRetentionInput = document.getElementById("backupRetentionInput");
+const historyPanel = document.getElementById("history-panel");
+const probabilityModelPanel = document.getElementById("probability-model-panel");
+const probabilityModelTables = document.getElementById("probabilityModelTables");
+const encounterPanel = document.getElementById("encounter-panel");
+const encounterRoute = document.getElementById("encounterRoute");
+const encounterSpecies = document.getElementById("encounterSpecies");
+const encounterVariant = document.getElementById("encounterVariant");
+const encounterRare = document.getElementById("encounterRare");
+const logEncounterButton = document.getElementById("logEncounterButton");
+const removeEncounterButton = document.getElementById("removeEncounterButton");
+const encounterSummary = document.getElementById("encounterSummary");
+const useCalibrationCheckbox = document.getElementById("useCalibrationCheckbox");
+const priorStrengthInput = document.getElementById("priorStrengthInput");
+const calibrationTable = document.getElementById("calibrationTable");
+const routeRankingPanel = document.getElementById("route-ranking-panel");
+const routeRankingTable = document.getElementById("routeRankingTable");
+const routeRankingNote = document.getElementById("routeRankingNote");
+const dexEstimate = document.getElementById("dexEstimate");
+const routeEstimate = document.getElementById("routeEstimate");
+const recommendModeButton = document.getElementById("recommendModeButton");
+const trackQuantitiesButton = document.getElementById("trackQuantitiesButton");
+const evolutionAwareButton = document.getElementById("evolutionAwareButton");
+const evolutionChecklistPanel = document.getElementById("evolution-checklist-panel");
+const evolutionChecklist = document.getElementById("evolutionChecklist");
+const tradePanel = document.getElementById("trade-panel");
+const tradeOurCode = document.getElementById("tradeOurCode");
+const tradeTheirCode = document.getElementById("tradeTheirCode");
+const tradeRarityFilter = document.getElementById("tradeRarityFilter");
+const tradeVariantFilter = document.getElementById("tradeVariantFilter");
+const tradeWishlistOnly = document.getElementById("tradeWishlistOnly");
+const tradeResults = document.getElementById("tradeResults");
+const tradeOutput = document.getElementById("tradeOutput");
+const teamPanel = document.getElementById("team-panel");
+const teamMemberName = document.getElementById("teamMemberName");
+const teamMemberCode = document.getElementById("teamMemberCode");
+const teamIncludeSelf = document.getElementById("teamIncludeSelf");
+const teamIncompleteOnly = document.getElementById("teamIncompleteOnly");
+const teamMembers = document.getElementById("teamMembers");
+const teamMatrix = document.getElementById("teamMatrix");
+const teamRankingMode = document.getElementById("teamRankingMode");
+const teamRankingTable = document.getElementById("teamRankingTable");
+const simulatorPanel = document.getElementById("simulator-panel");
+const simulatorLocation = document.getElementById("simulatorLocation");
+const simulatorType = document.getElementById("simulatorType");
+const simulatorTime = document.getElementById("simulatorTime");
+const simulatorEncounters = document.getElementById("simulatorEncounters");
+const simulatorPlanList = document.getElementById("simulatorPlanList");
+const simulatorGoal = document.getElementById("simulatorGoal");
+const simulatorGoalCount = document.getElementById("simulatorGoalCount");
+const simulatorRuns = document.getElementById("simulatorRuns");
+const runSimulationButton = document.getElementById("runSimulationButton");
+const simulatorResults = document.getElementById("simulatorResults");
+const plannerPanel = document.getElementById("planner-panel");
+const searchInput = document.getElementById("searchInput");
+const searchSuggestions = document.getElementById("searchSuggestions");
+const searchPanel = document.getElementById("search-panel");
+const searchResults = document.getElementById("searchResults");
+const detailDrawer = document.getElementById("detail-drawer");
+const detailContent = document.getElementById("detailContent");
+const wishlistPanel = document.getElementById("wishlist-panel");
+const targetModeButton = document.getElementById("targetModeButton");
+const wishlistPokemon = document.getElementById("wishlistPokemon");
+const wishlistPokemonOptions = document.getElementById("wishlistPokemonOptions");
+const wishlistVariant = document.getElementById("wishlistVariant");
+const wishlistRuleVariant = document.getElementById("wishlistRuleVariant");
+const wishlistRuleRarity = document.getElementById("wishlistRuleRarity");
+const wishlistEntries = document.getElementById("wishlistEntries");
+const wishlistRules = document.getElementById("wishlistRules");
+const wishlistSummary = document.getElementById("wishlistSummary");
+const wishlistTable = document.getElementById("wishlistTable");
+const plannerLength = document.getElementById("plannerLength");
+const plannerUnit = document.getElementById("plannerUnit");
+const plannerRate = document.getElementById("plannerRate");
+const plannerPeriod = document.getElementById("plannerPeriod");
+const plannerMinutesLeft = document.getElementById("plannerMinutesLeft");
+const plannerDayLength = document.getElementById("plannerDayLength");
+const plannerNightLength = document.getElementById("plannerNightLength");
+const sessionPlanList = document.getElementById("sessionPlanList");
+const sessionStatus = document.getElementById("sessionStatus");
+const historyTimeline = document.getElementById("historyTimeline");
+const historyDayFilter = document.getElementById("historyDayFilter");
+const historyVariantFilter = document.getElementById("historyVariantFilter");
+const historyLocationFilter = document.getElementById("historyLocationFilter");
 
 // Managing the Filter dropdowns -------------------------------------------------------------
 /**
@@ -121,16 +297,17 @@ const populateLocationFilter = () => {
 /**
  * Returns true if the given Pokémon matches all active filters (location, time, type).
  * @param {Object} pokemon - The Pokémon to filter.
+ * @param {Object} filters - The filters to match, defaults to the active filters.
  * @returns {boolean} - True if the Pokémon matches all active filters.
  */
-const tripleFilter = (pokemon) => {
+const tripleFilter = (pokemon, filters = activeFilters) => {
     return pokemon.locations.some((location) => {
         // Check if the location matches the active location filter
-        const matchesLocation = activeFilters.location ? location.place === activeFilters.location : true;
+        const matchesLocation = filters.location ? location.place === filters.location : true;
         // Check if the time matches the active time filter
-        const matchesTime = activeFilters.time ? location.time === activeFilters.time : true;
+        const matchesTime = filters.time ? location.time === filters.time : true;
         // Check if the type matches the active type filter
-        const matchesType = activeFilters.type ? location.type === activeFilters.type : true;
+        const matchesType = filters.type ? location.type === filters.type : true;
         // Return true if all filters match
         return matchesLocation && matchesTime && matchesType;
     });
@@ -168,30 +345,261 @@ const sortLocations = (locations, regex) => {
     return [...matching, ...nonMatching];
 };
 
+/**
+ * Escapes text for use in HTML, for values entered by users or taken from shared codes
+ * and files. Such values are always escaped into the markup rather than set as text.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+const escapeHtml = (text) => {
+    return String(text).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[char]));
+};
+
+//Notices -------------------------------------------------------------
+/**
+ * Shows a dismissible message in the banner below the header.
+ *
+ * @param {string} message - The message to display.
+ */
+const showNotice = (message) => {
+    noticeBanner.querySelector("span").textContent = message;
+    noticeBanner.style.display = "flex";
+};
+
+/**
+ * Hides the notice banner.
+ */
+const hideNotice = () => {
+    noticeBanner.style.display = "none";
+};
+
 //Save Data Management -------------------------------------------------------------
 /**
- * Loads Pokémon data from local storage or fetches it from an external JSON file.
- * Updates the Pokémon counter and applies filters after loading.
+ * Writes a value to local storage. When the browser's storage is full the error is
+ * logged and shown in a notice instead of being thrown, so the change stays in the
+ * page even though it could not be saved.
+ *
+ * @param {string} key - The local storage key.
+ * @param {string} value - The value to store.
+ * @returns {boolean} - True if the value was saved.
  */
-const loadPokemon = async () => {
+const writeStorage = (key, value) => {
     try {
-        // Attempt to retrieve saved Pokémon data from local storage
-        const savedData = localStorage.getItem("pokedex");
+        localStorage.setItem(key, value);
+        return true;
+    } catch (error) {
+        console.error("Error saving to local storage:", error);
+        showNotice(error.name === "QuotaExceededError"
+            ? "Your browser's storage is full, so the latest changes were not saved. Delete unused profiles or export your data to free up space."
+            : `Your changes could not be saved: ${error.message}`);
+        return false;
+    }
+};
 
-        if (savedData) {
-            // Parse and assign saved data to pokemonList if available
-            pokemonList = JSON.parse(savedData);
-        } else {
-            // Fetch Pokémon data from external JSON file if not in local storage
-            const response = await fetch("pokemon_list.json");
-            if (!response.ok) throw new Error("Failed to load Pokémon data.");
+const SAVE_KEY = "pokedex";
+const EXPORT_FORMAT = "seasonal-pokedex";
+const EXPORT_FORMAT_VERSION = 2;
+const SAVE_VERSION = 7;
+const PROFILES_KEY = "pokedexProfiles";
 
-            // Parse and assign fetched data to pokemonList
-            pokemonList = await response.json();
+/**
+ * Migrations that upgrade older save data one version at a time. Each entry takes
+ * save data of the keyed version and returns save data of the next version.
+ * Version 1 saves have no version field: they are the whole pokemonList array.
+ */
+const saveMigrations = {
+    1: (saved) => ({
+        version: 2,
+        caught: buildCaughtMap(saved),
+        orphaned: {}
+    }),
+    2: (saved) => ({
+        ...saved,
+        version: 3,
+        history: []
+    }),
+    3: (saved) => ({
+        ...saved,
+        version: 4,
+        model: null
+    }),
+    4: (saved) => ({
+        ...saved,
+        version: 5,
+        encounters: [],
+        calibration: { enabled: false, priorStrength: 100 }
+    }),
+    5: (saved) => ({
+        ...saved,
+        version: 6,
+        wishlist: createWishlist()
+    }),
+    6: (saved) => ({
+        ...saved,
+        version: 7,
+        quantities: {}
+    })
+};
 
-            // Save fetched data to local storage for future use
-            localStorage.setItem("pokedex", JSON.stringify(pokemonList));
-        }
+/**
+ * Builds a map of caught variant types keyed by Pokémon id, e.g. { "1": ["Normal", "Dark"] }.
+ * Pokémon without any caught variants are left out of the map.
+ *
+ * @param {Array} list - The list of Pokémon to read caught flags from.
+ * @returns {Object} - The caught variant types keyed by Pokémon id.
+ */
+const buildCaughtMap = (list) => {
+    const caught = {};
+    list.forEach((pokemon) => {
+        const caughtTypes = pokemon.variants.filter((variant) => variant.caught).map((variant) => variant.type);
+        if (caughtTypes.length > 0) caught[pokemon.id] = caughtTypes;
+    });
+    return caught;
+};
+
+/**
+ * Builds a map of the tracked quantities keyed by Pokémon id and variant type as
+ * [owned, reserved], e.g. { "1": { "Shiny": [3, 1] } }. Variants without any
+ * quantity are left out of the map.
+ *
+ * @param {Array} list - The list of Pokémon to read quantities from.
+ * @returns {Object} - The quantities keyed by Pokémon id and variant type.
+ */
+const buildQuantityMap = (list) => {
+    const quantities = {};
+    list.forEach((pokemon) => {
+        pokemon.variants.forEach((variant) => {
+            const { owned, reserved } = getVariantState(variant);
+            if (owned === 0 && reserved === 0) return;
+            quantities[pokemon.id] = { ...quantities[pokemon.id], [variant.type]: [owned, reserved] };
+        });
+    });
+    return quantities;
+};
+
+/**
+ * Upgrades save data to the current SAVE_VERSION by running each migration in turn.
+ *
+ * @param {Object|Array} saved - The parsed save data as found in local storage.
+ * @returns {Object} - Save data in the current format.
+ */
+const migrateSaveData = (saved) => {
+    let data = saved;
+    let version = Array.isArray(saved) ? 1 : saved.version;
+
+    if (version > SAVE_VERSION) {
+        throw new Error(`Save data version ${version} is newer than this version of the tool supports.`);
+    }
+
+    while (version < SAVE_VERSION) {
+        data = saveMigrations[version](data);
+        version = data.version;
+    }
+    return data;
+};
+
+/**
+ * Reads the save data from local storage and upgrades it to the current format.
+ *
+ * @returns {Object} - The save data, or an empty save if nothing has been stored yet.
+ */
+const readSaveData = () => {
+    const savedData = localStorage.getItem(profileStorageKey(profiles.active));
+    if (!savedData) {
+        return migrateSaveData({ version: 4, caught: {}, orphaned: {}, history: [], model: null });
+    }
+    return migrateSaveData(JSON.parse(savedData));
+};
+
+/**
+ * Rebuilds pokemonList from the master dataset and re-applies the caught flags from
+ * the save data and restores the quantities, catch history, probability model, encounter log and wishlist. The undo and redo stacks are reset
+ * as they belong to the previous data. Saved entries whose Pokémon or variant
+ * no longer exists in the dataset are collected into orphanedEntries so they are kept
+ * in the save and reported.
+ *
+ * @param {Object} saveData - Save data in the current format.
+ */
+const applySaveData = (saveData) => {
+    pokemonList = JSON.parse(JSON.stringify(masterPokemonList));
+    orphanedEntries = {};
+    orphanedQuantities = {};
+    catchHistory = (saveData.history || []).slice(-HISTORY_LIMIT);
+    probabilityModel = saveData.model || copyProbabilityModel(DEFAULT_PROBABILITY_MODEL);
+    encounterLog = saveData.encounters;
+    calibrationSettings = saveData.calibration;
+    wishlist = saveData.wishlist;
+    undoStack = [];
+    redoStack = [];
+
+    const pokemonById = new Map(pokemonList.map((pokemon) => [String(pokemon.id), pokemon]));
+    const savedEntries = [saveData.caught || {}, saveData.orphaned || {}];
+
+    savedEntries.forEach((entries) => {
+        Object.keys(entries).forEach((id) => {
+            const pokemon = pokemonById.get(id);
+            entries[id].forEach((variantType) => {
+                const variant = pokemon && pokemon.variants.find((v) => v.type === variantType);
+                if (variant) {
+                    variant.caught = true;
+                } else {
+                    // Keep the entry aside so it is not lost if the dataset brings it back
+                    orphanedEntries[id] = [...(orphanedEntries[id] || []), variantType];
+                }
+            });
+        });
+    });
+
+    Object.keys(saveData.quantities).forEach((id) => {
+        const pokemon = pokemonById.get(id);
+        Object.keys(saveData.quantities[id]).forEach((variantType) => {
+            const variant = pokemon && pokemon.variants.find((v) => v.type === variantType);
+            const [owned, reserved] = saveData.quantities[id][variantType];
+            if (variant) {
+                Object.assign(variant, { owned, reserved });
+            } else {
+                orphanedQuantities[id] = { ...orphanedQuantities[id], [variantType]: [owned, reserved] };
+            }
+        });
+    });
+
+    updateActiveProbabilityModel();
+    updateEvolvableVariants();
+};
+
+/**
+ * Reports saved catches that no longer exist in the Pokémon data.
+ */
+const reportOrphanedEntries = () => {
+    const ids = Object.keys(orphanedEntries);
+    if (ids.length === 0) return;
+
+    const entries = ids.flatMap((id) => orphanedEntries[id].map((variantType) => `${variantType} #${id}`));
+    console.warn("Saved catches not found in the Pokémon data:", entries);
+    showNotice(`Saved catches no longer in the Pokémon data have been kept aside: ${entries.join(", ")}`);
+};
+
+/**
+ * Loads the latest Pokémon data from the external JSON file and re-applies the
+ * caught flags from local storage on top of it.
+ * Updates the Pokémon counter and applies filters after loading.
+ */
+const loadPokemon = async () => {
+    try {
+        // Fetch the master list. Once the service worker is installed it answers from its
+        // cache and refreshes the cache in the background, showing a notice when the data
+        // has changed, so dataset updates reach existing saves on the following load
+        const response = await fetch(DATASET_FILE);
+        if (!response.ok) throw new Error("Failed to load Pokémon data.");
+        masterPokemonList = await response.json();
+
+        // Re-apply the active profile's caught flags and store the save in the current format
+        profiles = readProfiles();
+        appSettings = readAppSettings();
+        applySaveData(readSaveData());
+        saveProgress();
+        reportOrphanedEntries();
 
         // Update the Pokémon counter and apply filters to the list
         updatePokemonCounter();
@@ -208,548 +616,4513 @@ const loadPokemon = async () => {
 };
 
 /**
- * Clears the user's progress by removing it from local storage and reloading the
- * Pokémon data. Prompts the user for confirmation before performing the action.
+ * Clears the user's progress by marking every caught variant as uncaught.
+ * Prompts the user for confirmation before performing the action, which can be
+ * reverted with Undo.
  */
 const clearProgress = () => {
     const confirmation = window.confirm(
-        "Are you sure you want to clear your progress? This action cannot be undone."
+        "Are you sure you want to clear your progress? You can restore it with Undo."
     );
     if (confirmation) {
-        // Remove the saved progress from local storage
-        localStorage.removeItem("pokedex");
-
-        // Reload the Pokémon data
-        loadPokemon();
+        createBackup("Before clear");
+        const changes = pokemonList.flatMap((pokemon) =>
+            pokemon.variants.map((variant) => ({
+                id: pokemon.id,
+                variant: variant.type,
+                to: { caught: false, owned: 0, reserved: 0 }
+            }))
+        );
+        commitChanges("Clear Progress", changes, "clear");
     }
 };
 
 /**
- * Saves the current progress to local storage.
+ * Saves the current progress of the active profile to local storage.
+ * Only the caught flags (keyed by Pokémon id and variant type), the catch history,
+ * the quantities, the probability model, the encounter log and the wishlist are stored, so the Pokémon data itself always comes from
+ * pokemon_list.json.
  * This function is called whenever the user's caught status changes.
  */
 const saveProgress = () => {
-    // Save the current state of the Pokémon list to local storage
-    localStorage.setItem("pokedex", JSON.stringify(pokemonList));
+    writeStorage(profileStorageKey(profiles.active), JSON.stringify(buildSaveData()));
 };
 
 /**
- * Imports Pokémon data from a base64 encoded string in the textarea element.
- * The data should be a JSON object with a single property, "pokemonList", which
- * contains an array of pokemon objects. Each pokemon object should have the
- * following properties: id, name, and variants. The variants property should be
- * an array of variant objects, each with the following properties: type and caught.
- * The caught property should be a boolean indicating whether the variant has been
- * caught or not.
+ * Builds the save data of the active profile in the current format.
+ *
+ * @returns {Object} - The save data.
  */
-function importPokedexData() {
-    try {
-        const base64EncodedData = textarea.value;
-        textarea.value = "";
-        const gzipCompressedData = atob(base64EncodedData);
-        const gzipCompressedArray = new Uint8Array(gzipCompressedData.length);
-        for (let i = 0; i < gzipCompressedData.length; i++) {
-            gzipCompressedArray[i] = gzipCompressedData.charCodeAt(i);
-        }
-        const minifiedData = pako.ungzip(gzipCompressedArray);
-        const decoder = new TextDecoder('utf-8');
-        const decodedData = decoder.decode(minifiedData);
-        let pokedexData = JSON.parse(decodedData);
-        pokedexData = {
-            pokemonList: pokedexData
-        }
+const buildSaveData = () => {
+    // Merge per variant so a Pokémon with both orphaned and live quantities keeps both
+    const quantities = buildQuantityMap(pokemonList);
+    Object.keys(orphanedQuantities).forEach((id) => {
+        quantities[id] = { ...orphanedQuantities[id], ...quantities[id] };
+    });
 
-        // Check if each pokemon object has the expected properties
-        pokedexData.pokemonList.forEach((pokemon) => {
-            if (!pokemon.id || !pokemon.variants) {
-                textarea.value = "Invalid pokemon data";
-                throw new Error("Invalid pokemon data");
-            }
-        });
+    return {
+        version: SAVE_VERSION,
+        caught: buildCaughtMap(pokemonList),
+        orphaned: orphanedEntries,
+        quantities,
+        history: catchHistory,
+        // Profiles using the default model follow future changes to the defaults
+        model: isDefaultProbabilityModel() ? null : probabilityModel,
+        encounters: encounterLog,
+        calibration: calibrationSettings,
+        wishlist
+    };
+};
 
-        // Merge the imported data with the existing pokemonList data
-        pokedexData.pokemonList.forEach((importedPokemon) => {
-            const existingPokemon = pokemonList.find((pokemon) => pokemon.id === importedPokemon.id);
-            if (existingPokemon) {
-                // Find the variants that exist in the imported data
-                const importedVariantIds = importedPokemon.variants.map((variant) => variant.type);
-                const existingVariantIds = existingPokemon.variants.map((variant) => variant.type);
-
-                // Update the existing variants with the imported values
-                existingPokemon.variants = existingPokemon.variants.map((variant) => {
-                    if (importedVariantIds.includes(variant.type)) {
-                        const importedVariant = importedPokemon.variants.find((v) => v.type === variant.type);
-                        return {
-                            ...variant,
-                            caught: importedVariant.caught
-                        };
-                    }
-                    return variant;
-                });
-            }
-        });
+//App Settings -------------------------------------------------------------
+const SETTINGS_KEY = "pokedexSettings";
+const DEFAULT_SETTINGS = {
+    backupInterval: 25,
+    backupRetention: 20,
+    recommendMode: "chance",
+    encounterRate: 4,
+    dayLength: 30,
+    nightLength: 30,
+    plannerSession: null,
+    trackQuantities: false,
+    evolutionAware: false,
+    pasteTemplate: "evolve",
+    pasteTemplates: []
+};
 
-        // Save the updated pokemonList to local storage
-        saveProgress();
-        // Update the Pokémon counter display
-        updatePokemonCounter();
-        // Apply filters to the updated pokemonList
-        filterPokemon();
+/**
+ * Reads the app-wide settings from local storage, filling in defaults for any
+ * setting that has not been stored yet.
+ *
+ * @returns {Object} - The app settings.
+ */
+const readAppSettings = () => {
+    const savedSettings = localStorage.getItem(SETTINGS_KEY);
+    const settings = { ...DEFAULT_SETTINGS, ...(savedSettings ? JSON.parse(savedSettings) : {}) };
+    // Copy the template list so adding a template never changes the defaults
+    settings.pasteTemplates = [...settings.pasteTemplates];
+    return settings;
+};
 
-    } catch (error) {
-        textarea.value = `Invalid pokemon data\nSee console for details`;
-        console.error('Error importing Pokémon data:', error);
-    }
-}
+/**
+ * Saves the app-wide settings to local storage.
+ */
+const saveAppSettings = () => {
+    writeStorage(SETTINGS_KEY, JSON.stringify(appSettings));
+};
 
+//Profiles -------------------------------------------------------------
 /**
- * Function to export the current pokedex data using corresponding mode.
-*/
-function exportPokedexData() {
-    if (exportMode === "Paste") {
-        exportPasteData();
-    } else {
-        exportOriginalPokedex();
-    }
-}
+ * Returns the local storage key holding the save data of a profile.
+ * The default profile keeps the original "pokedex" key so existing saves carry over.
+ *
+ * @param {string} profileId - The id of the profile.
+ * @returns {string} - The local storage key for the profile's save data.
+ */
+const profileStorageKey = (profileId) => {
+    return profileId === "default" ? SAVE_KEY : `${SAVE_KEY}:${profileId}`;
+};
 
 /**
- * Allows switching between paste and export mode.
- * Uses the global variable exportMode to determine which mode to use.
- * Toggled with the export-toggle-btn button.
-*/
-function toggleExportMode() {
-    exportMode = exportMode === "Paste" ? "Export" : "Paste";
-    document.getElementById("export-toggle-btn").textContent = `Export Mode: ${exportMode}`;
-}
+ * Reads the list of profiles from local storage, creating the default profile
+ * the first time the tool is opened.
+ *
+ * @returns {Object} - The profiles object with the active profile id and the list of profiles.
+ */
+const readProfiles = () => {
+    const savedProfiles = localStorage.getItem(PROFILES_KEY);
+    if (savedProfiles) return JSON.parse(savedProfiles);
+    return {
+        active: "default",
+        profiles: [{ id: "default", name: "Default" }]
+    };
+};
 
 /**
- * Exports the current pokedex data in a list format that provides base forms and evolution lines for caught Pokémon.
- * The data is then displayed in the textarea element.
-*/
-function exportPasteData() {
-    // Get all evolution lines
-    const baseForms = pokemonList.filter(pokemon => pokemon.previousForms.length === 0);
-    
-    const evolutionLines = baseForms.map(baseForm => {
-        const line = [baseForm];
-        
-        // Find all evolutions of the current base form
-        let evoChain = pokemonList.filter(p => p.previousForms.includes(baseForm.id));
-        
-        // Add each evolution to the line
-        evoChain.forEach(pokemon => line.push(pokemon));
-        
-        return line.filter(pokemon => pokemon !== null); // Remove null entries
-    });
-    
-    // Find qualifying base forms
-    const qualifyingEntries = [];
-    
-    evolutionLines.forEach(line => {
-        // Skip lines with only 1 Pokémon
-        if (line.length < 2) return;
-        
-        // Get all variant types that exist in this evolution line
-        const allVariantTypes = new Set();
-        line.forEach(pokemon => {
-            pokemon.variants.forEach(variant => {
-                allVariantTypes.add(variant.type);
-            });
-        });
-        
-        // Check each variant type
-        allVariantTypes.forEach(variantType => {
-            // Get all Pokémon in this line that have this variant caught
-            const caughtPokemon = line.filter(pokemon => {
-                const variant = pokemon.variants.find(v => v.type === variantType);
-                return variant && variant.caught;
-            });
-            
-            // If 2+ Pokémon have this variant caught, add base form entry for each caught Pokémon
-            if (caughtPokemon.length >= 2) {
-                const baseForm = line[0]; // First Pokémon in the line is the base form
-                // Add one entry for each caught Pokémon (excluding the base form itself)
-                const nonBaseCaught = caughtPokemon.filter(p => p.id !== baseForm.id);
-                nonBaseCaught.forEach(() => {
-                    qualifyingEntries.push(`${variantType} ${baseForm.name || baseForm.id}`);
-                });
-            }
-        });
-    });
-    
-    // Sort alphabetically by variant type, then by Pokémon name
-    qualifyingEntries.sort((a, b) => {
-        const [variantA, nameA] = a.split(' ');
-        const [variantB, nameB] = b.split(' ');
-        
-        if (variantA !== variantB) {
-            return variantA.localeCompare(variantB);
-        }
-        return nameA.localeCompare(nameB);
-    });
-    
-    // Create text output
-    const textOutput = qualifyingEntries.join('\n');
-    
-    // Set the textarea value to the text output
-    textarea.value = textOutput;
-}
+ * Saves the list of profiles and the active profile id to local storage.
+ */
+const saveProfiles = () => {
+    writeStorage(PROFILES_KEY, JSON.stringify(profiles));
+};
 
 /**
- * Exports the caught Pokémon data to a base64 encoded string in the textarea element.
- * The string represents a JSON object with a single property, "pokemonList", which
- * contains an array of pokemon objects. Each pokemon object has the following
- * properties: id, name, and variants. The variants property is an array of
- * variant objects, each with the following properties: type and caught. The
- * caught property is a boolean indicating whether the variant has been caught or
- * not.
+ * Fills the profile dropdown in the settings menu with all profiles and selects
+ * the active one.
  */
-function exportOriginalPokedex() {
+const populateProfileSelect = () => {
+    profileSelect.innerHTML = profiles.profiles.map((profile) =>
+        `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`
+    ).join("");
+    profileSelect.value = profiles.active;
+};
 
-    // Get the list of caught Pokémon
-    const caughtPokemonList = pokemonList.filter((pokemon) => {
-        // Check if any variant of the Pokémon has been caught
-        return pokemon.variants.some((variant) => variant.caught);
-    }).map((pokemon) => {
-        // Create a new object with only the caught variants
-        return {
-            id: pokemon.id,
-            variants: pokemon.variants.filter((variant) => variant.caught),
-        };
-    });
+/**
+ * Asks the user for a profile name. Returns null if the prompt is cancelled or left empty.
+ *
+ * @param {string} message - The prompt message.
+ * @param {string} defaultName - The name suggested in the prompt.
+ * @returns {string|null} - The trimmed profile name, or null.
+ */
+const promptProfileName = (message, defaultName) => {
+    const name = window.prompt(message, defaultName);
+    return name && name.trim() ? name.trim() : null;
+};
 
-    const minifiedData = JSON.stringify(caughtPokemonList).replace(/\s+/g, '');
-    const gzipCompressedData = pako.gzip(minifiedData);
-    const base64EncodedData = btoa(String.fromCharCode.apply(null, gzipCompressedData));
+/**
+ * Generates a unique id for a new profile.
+ *
+ * @returns {string} - The new profile id.
+ */
+const generateProfileId = () => {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+};
 
-    // Set the value of the textarea to the base64 encoded string
-    textarea.value = base64EncodedData;
-}
+/**
+ * Recalculates the evolvable variants, counters and route probabilities, updates
+ * the undo buttons, session plan, open Pokémon details and evolution checklist and
+ * redraws the Pokédex after the caught data has changed.
+ */
+const refreshProgressDisplay = () => {
+    updateEvolvableVariants();
+    updatePokemonCounter();
+    updateUndoButtons();
+    areasArray = generateAreasArray();
+    allProbabilities();
+    filterPokemon();
+    if (appSettings.plannerSession) scheduleSessionPlan();
+    renderPokemonDetail();
+    renderEvolutionChecklist();
+};
 
-//Filters and Display -------------------------------------------------
 /**
- * Filters the Pokémon displayed in the Pokédex based on active filters.
- * Updates the display of Pokémon cards and relevant statistics.
+ * Switches to another profile, saving the current one first and rebuilding the
+ * counters, areasArray and probabilities from the new profile's save data.
+ *
+ * @param {string} profileId - The id of the profile to switch to.
  */
-const filterPokemon = () => {
-    // If no filters are active, clear the Pokédex display and return
-    if (!activeFilters.location && !activeFilters.time && !activeFilters.type && !activeFilters.variant) {
-        pokedex.innerHTML = '';
-        return;
-    }
+const switchProfile = (profileId) => {
+    saveProgress();
+    profiles.active = profileId;
+    saveProfiles();
+
+    applySaveData(readSaveData());
+    saveProgress();
+    hideNotice();
+    reportOrphanedEntries();
+
+    populateProfileSelect();
+    refreshProgressDisplay();
+};
 
-    // Get the filtered list of Pokémon evolution lines and convert them to display list
+/**
+ * Asks for a name and adds a new empty profile, without switching to it.
+ *
+ * @returns {string|null} - The id of the new profile, or null if cancelled.
+ */
+const addProfile = () => {
+    const name = promptProfileName("Name for the new profile:", `Profile ${profiles.profiles.length + 1}`);
+    if (!name) return null;
+
+    const profile = { id: generateProfileId(), name };
+    profiles.profiles.push(profile);
+    return profile.id;
+};
+
+/**
+ * Creates a new empty profile and switches to it.
+ */
+const createProfile = () => {
+    const profileId = addProfile();
+    if (profileId) switchProfile(profileId);
+};
+
+/**
+ * Renames the active profile.
+ */
+const renameProfile = () => {
+    const profile = profiles.profiles.find((p) => p.id === profiles.active);
+    const name = promptProfileName("New name for this profile:", profile.name);
+    if (!name) return;
+
+    profile.name = name;
+    saveProfiles();
+    populateProfileSelect();
+};
+
+/**
+ * Copies the active profile's progress into a new profile and switches to it.
+ */
+const duplicateProfile = () => {
+    const source = profiles.profiles.find((p) => p.id === profiles.active);
+    const name = promptProfileName("Name for the copy:", `${source.name} (Copy)`);
+    if (!name) return;
+
+    saveProgress();
+    const profile = { id: generateProfileId(), name };
+    if (!writeStorage(profileStorageKey(profile.id), localStorage.getItem(profileStorageKey(source.id)))) return;
+    profiles.profiles.push(profile);
+    switchProfile(profile.id);
+};
+
+/**
+ * Deletes the active profile and its save data after confirmation, then switches
+ * to the first remaining profile. The last profile cannot be deleted.
+ */
+const deleteProfile = () => {
+    if (profiles.profiles.length === 1) {
+        window.alert("You cannot delete your only profile. Use Clear Progress instead.");
+        return;
+    }
+
+    const profile = profiles.profiles.find((p) => p.id === profiles.active);
+    const confirmation = window.confirm(
+        `Are you sure you want to delete the profile "${profile.name}"? This action cannot be undone.`
+    );
+    if (!confirmation) return;
+
+    localStorage.removeItem(profileStorageKey(profile.id));
+    deleteBackups(profile.id);
+    profiles.profiles = profiles.profiles.filter((p) => p.id !== profile.id);
+    profiles.active = profiles.profiles[0].id;
+    saveProfiles();
+
+    applySaveData(readSaveData());
+    hideNotice();
+    reportOrphanedEntries();
+    populateProfileSelect();
+    refreshProgressDisplay();
+};
+
+/**
+ * Hashes a string with 32-bit FNV-1a, used for export checksums and dataset versions.
+ *
+ * @param {string} text - The text to hash.
+ * @returns {string} - The hash as 8 hexadecimal digits.
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Returns the version of the Pokémon data, a hash of every Pokémon id and its
+ * variant types, so an import can tell whether it was made against other data.
+ *
+ * @returns {string} - The dataset version.
+ */
+function getDatasetVersion() {
+    return hashString(JSON.stringify(masterPokemonList.map((pokemon) => [pokemon.id, pokemon.variants.map((variant) => variant.type)])));
+}
+
+/**
+ * Returns when each variant's caught status last changed, from the catch history.
+ *
+ * @returns {Object} - The timestamps keyed by "id|variant".
+ */
+function getLastChangeTimes() {
+    const times = {};
+    catchHistory.forEach((event) => {
+        times[`${event.id}|${event.variant}`] = event.time;
+    });
+    return times;
+}
+
+/**
+ * Builds the export envelope: the export data and last change times, with the format
+ * version, dataset version, export time, profile name, whether quantities are tracked
+ * and a checksum of the payload.
+ *
+ * @returns {Object} - The envelope.
+ */
+function buildExportEnvelope() {
+    const payload = { ...buildExportData(), changed: getLastChangeTimes() };
+    return {
+        format: EXPORT_FORMAT,
+        formatVersion: EXPORT_FORMAT_VERSION,
+        datasetVersion: getDatasetVersion(),
+        exported: Date.now(),
+        profile: profiles.profiles.find((p) => p.id === profiles.active).name,
+        trackQuantities: appSettings.trackQuantities,
+        checksum: hashString(JSON.stringify(payload)),
+        payload
+    };
+}
+
+/**
+ * Decodes an export code written by exportOriginalPokedex(): the current envelope, the
+ * { pokemon, model } object of version 1 codes or a bare array of pokemon objects from
+ * older exports.
+ *
+ * @param {string} code - The base64 encoded, gzipped code.
+ * @returns {Object} - The data as { pokemonList, model, changed, meta }, where changed holds the
+ * last change times and meta the envelope details (null for older codes).
+ * @throws {Error} - If the code is not valid pokemon data or fails its checksum.
+ */
+function decodeExportCode(code) {
+    const gzipCompressedData = atob(code.trim());
+    const gzipCompressedArray = new Uint8Array(gzipCompressedData.length);
+    for (let i = 0; i < gzipCompressedData.length; i++) {
+        gzipCompressedArray[i] = gzipCompressedData.charCodeAt(i);
+    }
+    const minifiedData = pako.ungzip(gzipCompressedArray);
+    const decoder = new TextDecoder('utf-8');
+    const decodedData = decoder.decode(minifiedData);
+    let pokedexData = JSON.parse(decodedData);
+
+    if (pokedexData && pokedexData.format === EXPORT_FORMAT) {
+        if (pokedexData.formatVersion > EXPORT_FORMAT_VERSION) {
+            throw new Error(`Export format version ${pokedexData.formatVersion} is newer than this version of the tool supports.`);
+        }
+        if (hashString(JSON.stringify(pokedexData.payload)) !== pokedexData.checksum) {
+            throw new Error("The code failed its checksum and may be incomplete.");
+        }
+        const { payload, checksum, ...meta } = pokedexData;
+        pokedexData = {
+            pokemonList: payload.pokemon,
+            model: payload.model,
+            changed: payload.changed || {},
+            meta
+        };
+    } else {
+        // Older codes are a bare array of pokemon objects without a probability model
+        pokedexData = Array.isArray(pokedexData) ? {
+            pokemonList: pokedexData,
+            model: null
+        } : {
+            pokemonList: pokedexData.pokemon,
+            model: pokedexData.model
+        };
+        pokedexData.changed = {};
+        pokedexData.meta = null;
+    }
+
+    // Check if each pokemon object has the expected properties
+    if (!Array.isArray(pokedexData.pokemonList)) throw new Error("Invalid pokemon data");
+    pokedexData.pokemonList.forEach((pokemon) => {
+        if (!pokemon.id || !pokemon.variants) {
+            throw new Error("Invalid pokemon data");
+        }
+    });
+    return pokedexData;
+}
+
+/**
+ * Works out the changes an import makes with a merge strategy:
+ * "replace" takes the code's state for every variant (so variants it lacks become
+ * uncaught), "union" keeps everything caught on either side and "keep-newer" takes
+ * whichever side changed the variant last, falling back to union when neither side
+ * has a recorded change. Quantities are only taken over when the code includes them,
+ * so importing a code from someone who does not track quantities keeps your counts.
+ *
+ * @param {Object} data - The decoded code from decodeExportCode().
+ * @param {string} strategy - "replace", "union" or "keep-newer".
+ * @returns {Object} - { changes, caught, uncaught, unknownIds } where caught and uncaught count the flags that change.
+ */
+function buildImportChanges(data, strategy) {
+    const imported = new Map();
+    const knownIds = new Set(pokemonList.map((pokemon) => pokemon.id));
+    const unknownIds = new Set();
+    data.pokemonList.forEach((importedPokemon) => {
+        if (!knownIds.has(importedPokemon.id)) unknownIds.add(importedPokemon.id);
+        importedPokemon.variants.forEach((importedVariant) => imported.set(`${importedPokemon.id}|${importedVariant.type}`, importedVariant));
+    });
+
+    const ourTimes = getLastChangeTimes();
+    const changes = [];
+    let caught = 0;
+    let uncaught = 0;
+
+    pokemonList.forEach((pokemon) => {
+        pokemon.variants.forEach((variant) => {
+            const key = `${pokemon.id}|${variant.type}`;
+            const theirs = imported.get(key) || { caught: false };
+            const ours = getVariantState(variant);
+            // Codes from players who track quantities hold every copy they own, so a missing
+            // variant means none. Otherwise only counts actually in the code are taken over.
+            const tracked = data.meta ? data.meta.trackQuantities : undefined;
+            const hasQuantities = tracked === true || (tracked === undefined && typeof theirs.owned === "number");
+
+            const takeTheirs = () => {
+                const to = { caught: Boolean(theirs.caught) };
+                if (hasQuantities) {
+                    to.owned = theirs.owned || 0;
+                    to.reserved = theirs.reserved || 0;
+                }
+                return to;
+            };
+            const takeBoth = () => {
+                const to = { caught: ours.caught || Boolean(theirs.caught) };
+                if (typeof theirs.owned === "number") {
+                    to.owned = Math.max(ours.owned, theirs.owned);
+                    to.reserved = Math.max(ours.reserved, theirs.reserved || 0);
+                }
+                return to;
+            };
+
+            let to;
+            if (strategy === "replace") {
+                to = takeTheirs();
+            } else if (strategy === "union") {
+                to = takeBoth();
+            } else {
+                const theirTime = data.changed[key] || 0;
+                const ourTime = ourTimes[key] || 0;
+                to = theirTime > ourTime ? takeTheirs() : theirTime === ourTime ? takeBoth() : {};
+            }
+
+            if (Object.keys(to).every((stateKey) => to[stateKey] === ours[stateKey])) return;
+            if (to.caught === true && !ours.caught) caught++;
+            if (to.caught === false && ours.caught) uncaught++;
+            changes.push({ id: pokemon.id, variant: variant.type, to });
+        });
+    });
+
+    return { changes, caught, uncaught, unknownIds: unknownIds.size };
+}
+
+/**
+ * Reads the export code (or share link) in the textarea element and opens the import
+ * preview, which shows what the code is and what importing it would change before
+ * anything is applied. Codes written by older versions are still accepted.
+ */
+function importPokedexData() {
+    try {
+        const shareCode = textarea.value.trim().match(/share=([\w-]+)$/);
+        pendingImport = shareCode ? decodeShareCode(shareCode[1]) : decodeExportCode(textarea.value);
+    } catch (error) {
+        textarea.value = `Invalid pokemon data\nSee console for details`;
+        console.error('Error importing Pokémon data:', error);
+        return;
+    }
+
+    // Codes without change times can only be merged safely
+    importStrategy.value = pendingImport.meta ? "keep-newer" : "union";
+    showPanel(importPanel);
+    renderImportPreview();
+}
+
+/**
+ * Renders the details of the pending import and the changes the selected merge
+ * strategy would make, e.g. "+37 caught, −2 uncaught, 5 unknown ids".
+ */
+function renderImportPreview() {
+    const meta = pendingImport.meta;
+    const sameDataset = meta && meta.datasetVersion === getDatasetVersion();
+
+    // The details come from someone else's code, so they are only ever set as text
+    const items = meta
+        ? [
+            [`Format version ${meta.formatVersion}`, ""],
+            [`Exported ${new Date(meta.exported).toLocaleString()} from profile "${meta.profile}"`, ""],
+            [sameDataset ? "Same Pokémon data as yours" : "Made with different Pokémon data than yours", sameDataset ? "" : "model-warning"]
+        ]
+        : pendingImport.shared
+            ? [["Share link with caught variants only. Only merging is recommended.", ""]]
+            : [["Older code without version details. Only merging is recommended.", ""]];
+    importMeta.innerHTML = items.map(([text, className]) => `<li class="${className}">${escapeHtml(text)}</li>`).join("");
+
+    const { caught, uncaught, unknownIds } = buildImportChanges(pendingImport, importStrategy.value);
+    importSummary.textContent = `+${caught} caught, −${uncaught} uncaught, ${unknownIds} unknown ids`;
+}
+
+/**
+ * Applies the pending import with the selected merge strategy as a single undoable
+ * change, after taking a restore point.
+ */
+function applyImport() {
+    if (!pendingImport) return;
+
+    const strategy = importStrategy.value;
+    const { changes } = buildImportChanges(pendingImport, strategy);
+    const model = pendingImport.model;
+    pendingImport = null;
+    textarea.value = "";
+    closePanels();
+
+    // Merge the imported data as a single undoable change
+    createBackup("Before import");
+    commitChanges(`Import (${importStrategy.options[importStrategy.selectedIndex].text})`, changes, "import");
+
+    // Offer to take over the probability model included in the code
+    if (!model) return;
+    if (!isValidProbabilityModel(model)) {
+        console.warn("Ignored an invalid probability model in the imported code:", model);
+        window.alert("This code includes a probability model that is not valid, so your current model was kept.");
+        return;
+    }
+    if (window.confirm("This code includes a probability model. Replace your current model with it?")) {
+        setProbabilityModel(model);
+    }
+}
+
+/**
+ * Function to export the current pokedex data using corresponding mode.
+*/
+function exportPokedexData() {
+    if (exportMode === "Paste") {
+        exportPasteData();
+    } else if (exportMode === "Trade") {
+        exportTradeData();
+    } else {
+        exportOriginalPokedex();
+    }
+}
+
+/**
+ * Allows switching between export, paste and trade mode.
+ * Uses the global variable exportMode to determine which mode to use.
+ * Toggled with the export-toggle-btn button.
+*/
+function toggleExportMode() {
+    const modes = ["Export", "Paste", "Trade"];
+    exportMode = modes[(modes.indexOf(exportMode) + 1) % modes.length];
+    document.getElementById("export-toggle-btn").textContent = `Export Mode: ${exportMode}`;
+}
+
+/**
+ * Exports the current pokedex data as text using the selected paste template.
+ * The data is then displayed in the textarea element.
+*/
+function exportPasteData() {
+    textarea.value = renderPasteTemplate(getPasteTemplate(appSettings.pasteTemplate));
+}
+
+/**
+ * Returns the base forms available to evolve for caught Pokémon, one entry per evolution
+ * caught in the same variant. When quantities are tracked the list is built from the
+ * copies reserved for evolving instead.
+ *
+ * @returns {Array} - The entries as { pokemon, variant }.
+*/
+function getPasteEvolveEntries() {
+    if (appSettings.trackQuantities) {
+        return getEvolvableEntries();
+    }
+
+    // Get all evolution lines
+    const baseForms = pokemonList.filter(pokemon => pokemon.previousForms.length === 0);
+    
+    const evolutionLines = baseForms.map(baseForm => {
+        const line = [baseForm];
+        
+        // Find all evolutions of the current base form
+        let evoChain = pokemonList.filter(p => p.previousForms.includes(baseForm.id));
+        
+        // Add each evolution to the line
+        evoChain.forEach(pokemon => line.push(pokemon));
+        
+        return line.filter(pokemon => pokemon !== null); // Remove null entries
+    });
+    
+    // Find qualifying base forms
+    const qualifyingEntries = [];
+    
+    evolutionLines.forEach(line => {
+        // Skip lines with only 1 Pokémon
+        if (line.length < 2) return;
+        
+        // Get all variant types that exist in this evolution line
+        const allVariantTypes = new Set();
+        line.forEach(pokemon => {
+            pokemon.variants.forEach(variant => {
+                allVariantTypes.add(variant.type);
+            });
+        });
+        
+        // Check each variant type
+        allVariantTypes.forEach(variantType => {
+            // Get all Pokémon in this line that have this variant caught
+            const caughtPokemon = line.filter(pokemon => {
+                const variant = pokemon.variants.find(v => v.type === variantType);
+                return variant && variant.caught;
+            });
+            
+            // If 2+ Pokémon have this variant caught, add base form entry for each caught Pokémon
+            if (caughtPokemon.length >= 2) {
+                const baseForm = line[0]; // First Pokémon in the line is the base form
+                // Add one entry for each caught Pokémon (excluding the base form itself)
+                const nonBaseCaught = caughtPokemon.filter(p => p.id !== baseForm.id);
+                const variant = baseForm.variants.find(v => v.type === variantType) || { type: variantType };
+                nonBaseCaught.forEach(() => {
+                    qualifyingEntries.push({ pokemon: baseForm, variant });
+                });
+            }
+        });
+    });
+    
+    // Sort alphabetically by variant type, then by Pokémon name
+    qualifyingEntries.sort((a, b) => {
+        if (a.variant.type !== b.variant.type) {
+            return a.variant.type.localeCompare(b.variant.type);
+        }
+        return a.pokemon.name.localeCompare(b.pokemon.name);
+    });
+
+    return qualifyingEntries;
+}
+
+/**
+ * Exports the tradeable copies of each variant as a list, e.g. "Shiny Zubat x2".
+ * The data is then displayed in the textarea element.
+*/
+function exportTradeData() {
+    const entries = sortVariantEntries(pokemonList.flatMap((pokemon) =>
+        pokemon.variants
+            .filter((variant) => getTradeableCount(variant) > 0)
+            .map((variant) => ({ pokemon, variant, count: getTradeableCount(variant) }))
+    ));
+
+    textarea.value = entries.length > 0
+        ? entries.map(({ pokemon, variant, count }) => `${variant.type} ${pokemon.name} x${count}`).join('\n')
+        : "Nothing to trade. Track quantities in Settings and add copies with + on the cards.";
+}
+
+/**
+ * Exports the caught Pokémon data to a base64 encoded string in the textarea element.
+ * The string represents the export envelope from buildExportEnvelope(), whose payload
+ * has the properties "pokemon", "model" and "changed".
+ * "pokemon" contains an array of pokemon objects, each with the properties id and
+ * variants. The variants property is an array of variant objects, each with the
+ * following properties: type and caught, plus owned and reserved when quantities
+ * are tracked. The caught property is a boolean
+ * indicating whether the variant has been caught or not. "model" holds the
+ * probability model, or null when the default model is used. "changed" holds when
+ * each variant's caught status last changed.
+ */
+function exportOriginalPokedex() {
+    const minifiedData = JSON.stringify(buildExportEnvelope());
+    const gzipCompressedData = pako.gzip(minifiedData);
+    const base64EncodedData = btoa(String.fromCharCode.apply(null, gzipCompressedData));
+
+    // Set the value of the textarea to the base64 encoded string
+    textarea.value = base64EncodedData;
+}
+
+/**
+ * Builds the data of an export code: the caught variants (with their quantities)
+ * of each Pokémon and the probability model.
+ *
+ * @returns {Object} - The export data as { pokemon, model }.
+ */
+function buildExportData() {
+    // Get the list of caught Pokémon
+    const isStored = (variant) => variant.caught || getVariantState(variant).owned > 0;
+    const caughtPokemonList = pokemonList.filter((pokemon) => {
+        // Check if any variant of the Pokémon has been caught or has copies
+        return pokemon.variants.some(isStored);
+    }).map((pokemon) => {
+        // Create a new object with only the caught variants and their quantities
+        return {
+            id: pokemon.id,
+            variants: pokemon.variants.filter(isStored),
+        };
+    });
+
+    // Include the probability model so community-sourced rates travel with the code
+    return {
+        pokemon: caughtPokemonList,
+        model: isDefaultProbabilityModel() ? null : probabilityModel
+    };
+}
+
+//Catch History -------------------------------------------------------------
+const HISTORY_RENDER_LIMIT = 500;
+const HISTORY_LIMIT = 5000;
+
+/**
+ * Records a change of a variant's caught status in the catch history, together
+ * with the filters that were set at that moment. Only the latest HISTORY_LIMIT
+ * events are kept so the save stays small.
+ *
+ * @param {number} id - The ID of the Pokémon.
+ * @param {string} variantType - The type of the variant (e.g. "Normal", "Shiny", etc.).
+ * @param {boolean} caught - The new caught status of the variant.
+ * @param {string} source - What caused the change (e.g. "toggle", "import").
+ */
+const logCatchEvent = (id, variantType, caught, source) => {
+    catchHistory.push({
+        time: Date.now(),
+        id,
+        variant: variantType,
+        caught,
+        source,
+        filters: Object.fromEntries(Object.entries(activeFilters).filter(([, value]) => value))
+    });
+    if (catchHistory.length > HISTORY_LIMIT) catchHistory.splice(0, catchHistory.length - HISTORY_LIMIT);
+};
+
+/**
+ * Returns the local date of a timestamp as a "YYYY-MM-DD" string, matching the
+ * value format of a date input.
+ *
+ * @param {number} time - The timestamp in milliseconds.
+ * @returns {string} - The local date string.
+ */
+const toDateKey = (time) => {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Fills the variant and location dropdowns of the timeline view. The locations are
+ * taken from the location filters recorded in the history.
+ */
+const populateHistoryFilters = () => {
+    const locations = new Set(catchHistory.map((event) => event.filters.location).filter(Boolean));
+
+    historyVariantFilter.innerHTML = [
+        `<option value="">All Variants</option>`,
+        ...VARIANT_ORDER.map((variantType) => `<option value="${variantType}">${variantType}</option>`)
+    ].join("");
+
+    historyLocationFilter.innerHTML = [
+        `<option value="">All Locations</option>`,
+        ...sortLocations([...locations], /^Route \d+$/i).map((location) => `<option value="${location}">${location}</option>`)
+    ].join("");
+};
+
+/**
+ * Renders the catch history as a timeline grouped by day, newest first, applying
+ * the day, variant and location filters of the timeline view.
+ */
+const renderHistoryTimeline = () => {
+    const day = historyDayFilter.value;
+    const variantType = historyVariantFilter.value;
+    const location = historyLocationFilter.value;
+
+    const events = catchHistory.filter((event) =>
+        (!day || toDateKey(event.time) === day) &&
+        (!variantType || event.variant === variantType) &&
+        (!location || event.filters.location === location)
+    ).reverse();
+
+    if (events.length === 0) {
+        historyTimeline.innerHTML = `<p>No catches recorded for these filters.</p>`;
+        return;
+    }
+
+    // Group the events by day, keeping the newest day first
+    const days = new Map();
+    events.slice(0, HISTORY_RENDER_LIMIT).forEach((event) => {
+        const key = toDateKey(event.time);
+        if (!days.has(key)) days.set(key, []);
+        days.get(key).push(event);
+    });
+
+    const html = [...days.entries()].map(([key, dayEvents]) => {
+        const caughtCount = dayEvents.filter((event) => event.caught).length;
+        const uncaughtCount = dayEvents.length - caughtCount;
+
+        const rows = dayEvents.map((event) => {
+            const pokemon = pokemonList.find((p) => p.id === event.id);
+            const name = pokemon ? pokemon.name : `#${event.id}`;
+            const time = new Date(event.time).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+            const where = [event.filters.location, event.filters.time, event.filters.type].filter(Boolean).join(" · ");
+            return `
+                <li class="${event.caught ? "caught" : "uncaught"}">
+                    <span class="history-time">${time}</span>
+                    ${event.caught ? "Caught" : "Uncaught"} ${event.variant} ${name}
+                    ${where ? `<span class="history-where">${where}</span>` : ""}
+                    ${event.source !== "toggle" ? `<span class="history-source">(${event.source})</span>` : ""}
+                </li>
+            `;
+        }).join("");
+
+        return `
+            <h3>${new Date(dayEvents[0].time).toLocaleDateString()} <small>+${caughtCount} / −${uncaughtCount}</small></h3>
+            <ul>${rows}</ul>
+        `;
+    }).join("");
+
+    const limitNote = events.length > HISTORY_RENDER_LIMIT
+        ? `<p>Showing the latest ${HISTORY_RENDER_LIMIT} of ${events.length} entries.</p>`
+        : "";
+    historyTimeline.innerHTML = html + limitNote;
+};
+
+/**
+ * Opens the timeline view of the catch history.
+ */
+const openHistoryPanel = () => {
+    populateHistoryFilters();
+    renderHistoryTimeline();
+    showPanel(historyPanel);
+};
+
+//Restore Points -------------------------------------------------------------
+const BACKUP_DB_NAME = "pokedexBackups";
+const BACKUP_STORE = "snapshots";
+let backupDatabase = null;
+
+/**
+ * Wraps an IndexedDB request in a promise that resolves with its result.
+ *
+ * @param {IDBRequest} request - The IndexedDB request.
+ * @returns {Promise} - Resolves with the request result, rejects with its error.
+ */
+const requestToPromise = (request) => {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Opens the IndexedDB database holding the restore points, creating the snapshot
+ * store the first time. The connection is reused for later calls, while a failed
+ * open is retried on the next call.
+ *
+ * @returns {Promise<IDBDatabase>} - The open database.
+ */
+const openBackupDatabase = () => {
+    if (!backupDatabase) {
+        const request = indexedDB.open(BACKUP_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(BACKUP_STORE, { keyPath: "id", autoIncrement: true });
+            store.createIndex("profile", "profile");
+        };
+        backupDatabase = requestToPromise(request).catch((error) => {
+            // Forget the failed attempt so the next call tries to open the database again
+            backupDatabase = null;
+            throw error;
+        });
+    }
+    return backupDatabase;
+};
+
+/**
+ * Returns the snapshot store of the backup database.
+ *
+ * @param {string} mode - The transaction mode ("readonly" or "readwrite").
+ * @returns {Promise<IDBObjectStore>} - The snapshot store.
+ */
+const getBackupStore = async (mode) => {
+    const database = await openBackupDatabase();
+    return database.transaction(BACKUP_STORE, mode).objectStore(BACKUP_STORE);
+};
+
+/**
+ * Lists the restore points of a profile, newest first.
+ *
+ * @param {string} profileId - The id of the profile.
+ * @returns {Promise<Array>} - The restore points of the profile.
+ */
+const listBackups = async (profileId) => {
+    const store = await getBackupStore("readonly");
+    const snapshots = await requestToPromise(store.index("profile").getAll(profileId));
+    return snapshots.sort((a, b) => b.created - a.created || b.id - a.id);
+};
+
+/**
+ * Stores a snapshot of the active profile's save data as a restore point and
+ * removes the oldest restore points beyond the retention limit. The save data is
+ * captured before the first await so the snapshot reflects the moment of the call.
+ *
+ * @param {string} reason - Why the restore point was taken (e.g. "Automatic", "Before import").
+ */
+const createBackup = async (reason) => {
+    const snapshot = {
+        profile: profiles.active,
+        created: Date.now(),
+        reason,
+        caughtCount: pokemonList.reduce((sum, pokemon) => sum + pokemon.variants.filter((variant) => variant.caught).length, 0),
+        data: buildSaveData()
+    };
+    changesSinceBackup = 0;
+
+    try {
+        const store = await getBackupStore("readwrite");
+        await requestToPromise(store.add(snapshot));
+
+        // Remove the oldest restore points beyond the retention limit
+        const snapshots = await listBackups(snapshot.profile);
+        const expired = snapshots.slice(appSettings.backupRetention);
+        if (expired.length > 0) {
+            const pruneStore = await getBackupStore("readwrite");
+            await Promise.all(expired.map((expiredSnapshot) => requestToPromise(pruneStore.delete(expiredSnapshot.id))));
+        }
+
+        if (settingsMenu.style.display === "block") renderBackupList();
+    } catch (error) {
+        console.error("Error creating restore point:", error);
+    }
+};
+
+/**
+ * Deletes all restore points of a profile.
+ *
+ * @param {string} profileId - The id of the profile.
+ */
+const deleteBackups = async (profileId) => {
+    try {
+        const snapshots = await listBackups(profileId);
+        const store = await getBackupStore("readwrite");
+        await Promise.all(snapshots.map((snapshot) => requestToPromise(store.delete(snapshot.id))));
+    } catch (error) {
+        console.error("Error deleting restore points:", error);
+    }
+};
+
+/**
+ * Restores the caught flags of a restore point as a single undoable change,
+ * taking a restore point of the current state first.
+ *
+ * @param {number} snapshotId - The id of the restore point.
+ */
+const restoreBackup = async (snapshotId) => {
+    try {
+        const store = await getBackupStore("readonly");
+        const snapshot = await requestToPromise(store.get(snapshotId));
+        if (!snapshot) return;
+
+        const saveData = migrateSaveData(snapshot.data);
+        const changes = pokemonList.flatMap((pokemon) =>
+            pokemon.variants.map((variant) => ({
+                id: pokemon.id,
+                variant: variant.type,
+                to: {
+                    caught: (saveData.caught[pokemon.id] || []).includes(variant.type),
+                    owned: saveData.quantities[pokemon.id]?.[variant.type]?.[0] || 0,
+                    reserved: saveData.quantities[pokemon.id]?.[variant.type]?.[1] || 0
+                }
+            }))
+        );
+
+        await createBackup("Before restore");
+        commitChanges("Restore Point", changes, "restore");
+        renderBackupList();
+    } catch (error) {
+        console.error("Error restoring restore point:", error);
+    }
+};
+
+/**
+ * Renders the restore points of the active profile in the settings menu, each with
+ * its date, caught count and a restore button.
+ */
+const renderBackupList = async () => {
+    try {
+        const snapshots = await listBackups(profiles.active);
+        if (snapshots.length === 0) {
+            backupList.innerHTML = `<li>No restore points yet.</li>`;
+            return;
+        }
+
+        backupList.innerHTML = snapshots.map((snapshot) => `
+            <li>
+                <span>${new Date(snapshot.created).toLocaleString()} · ${snapshot.reason} · Caught: ${snapshot.caughtCount}</span>
+                <button onclick="restoreBackup(${snapshot.id})">Restore</button>
+            </li>
+        `).join("");
+    } catch (error) {
+        console.error("Error loading restore points:", error);
+        backupList.innerHTML = `<li>Restore points are unavailable in this browser.</li>`;
+    }
+};
+
+/**
+ * Updates a numeric backup setting from its input, keeping it at 1 or more.
+ *
+ * @param {HTMLInputElement} input - The settings input.
+ * @param {string} setting - The name of the setting in appSettings.
+ */
+const updateBackupSetting = (input, setting) => {
+    const value = parseInt(input.value);
+    if (isNaN(value) || value < 1) {
+        input.value = appSettings[setting];
+        return;
+    }
+    appSettings[setting] = value;
+    saveAppSettings();
+};
+
+//Panels -------------------------------------------------------------
+/**
+ * Shows a panel on top of the overlay, closing the settings menu and any other
+ * open panel.
+ *
+ * @param {HTMLElement} panel - The panel element to show.
+ */
+const showPanel = (panel) => {
+    closePanels();
+    settingsMenu.style.display = "none";
+    panel.style.display = "block";
+    settingsOverlay.style.display = "block";
+    openPanel = panel;
+};
+
+/**
+ * Closes the open panel and hides the overlay.
+ */
+const closePanels = () => {
+    if (openPanel) openPanel.style.display = "none";
+    openPanel = null;
+    settingsOverlay.style.display = "none";
+};
+
+//Filters and Display -------------------------------------------------
+/**
+ * Filters the Pokémon displayed in the Pokédex based on active filters.
+ * Updates the display of Pokémon cards and relevant statistics.
+ */
+const filterPokemon = () => {
+    // If no filters are active, clear the Pokédex display and return
+    if (!activeFilters.location && !activeFilters.time && !activeFilters.type && !activeFilters.variant) {
+        pokedex.innerHTML = '';
+        return;
+    }
+
+    // Get the filtered list of Pokémon evolution lines and convert them to display list
     const displayList = getDisplayList(getFilteredLines());
 
-    // Apply variant filter if active
-    const variantFilteredList = activeFilters.variant ? displayList.filter(pokemon =>
-        pokemon.variants.some(variant => variant.type === activeFilters.variant)
-    ) : displayList;
+    // Apply variant filter if active
+    const variantFilteredList = activeFilters.variant ? displayList.filter(pokemon =>
+        pokemon.variants.some(variant => variant.type === activeFilters.variant)
+    ) : displayList;
+
+    // Calculate area probability if all filters are active and there are Pokémon to display
+    if (activeFilters.location && activeFilters.time && activeFilters.type && variantFilteredList.length > 0) {
+        areaProbability(variantFilteredList);
+    } else {
+        document.getElementById("routeProbability").style.display = "none";
+        document.getElementById("routeCompletion").style.display = "none";
+        routeEstimate.style.display = "none";
+    }
+
+    // Update the display with the filtered Pokémon list
+    displayPokemon(variantFilteredList);
+
+    // Update variant group display based on the caught status
+    document.querySelectorAll(".variant-group").forEach(group => {
+        const allCards = group.querySelectorAll(".pokemon-card");
+        const allCaught = Array.from(allCards).every(card => card.classList.contains("caught"));
+        group.style.display = (allCaught && !showCaught) ? "none" : "block";
+    });
+
+    // Hide all caught Pokémon cards if the showCaught flag is false
+    if (!showCaught) {
+        document.querySelectorAll(".pokemon-card.caught").forEach(card => {
+            card.style.display = "none";
+        });
+    }
+};
+
+/**
+ * Returns a filtered list of Pokémon Base Forms based on active filters.
+ * @param {Object} filters - The filters to match, defaults to the active filters.
+ * @returns {Array} - A list of Pokémon Base Forms that match all active filters.
+ */
+const getFilteredLines = (filters = activeFilters) => {
+    const baseForms = pokemonList.filter(pokemon => pokemon.previousForms.length === 0);
+
+    // Filter the base forms by applying the tripleFilter function to each Pokémon
+    return baseForms.filter((pokemon) => tripleFilter(pokemon, filters));
+};
+
+/**
+ * Returns a list of Pokémon that match the active filters, including all evolutions.
+ * This function takes a list of Pokémon base forms and returns a list of all Pokémon,
+ * including evolutions, that match the active filters.
+ * @param {Array} filteredLines - A list of Pokémon base forms that match the active filters.
+ * @returns {Array} - A list of all Pokémon that match the active filters, including evolutions.
+ */
+const getDisplayList = (filteredLines) => {
+    return filteredLines.flatMap((pokemon) => {
+        const stages = [pokemon];
+        let base = pokemon;
+
+        // Find all evolutions of the current Pokémon
+        let evoChains = pokemonList.filter((p) => p.previousForms.includes(base.id));
+
+        // Add each evolution to the stages list
+        evoChains.forEach((pokemon) => stages.push(pokemon));
+        return stages;
+    });
+};
+
+/**
+ * Returns the species name of a Pokémon without its form, e.g. "Charizard" for
+ * "Charizard (Mega X)".
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @returns {string} - The species name.
+ */
+const getSpeciesName = (pokemon) => {
+    return pokemon.name.replace(/\s*\(.*\)$/, "");
+};
+
+/**
+ * Checks whether a Pokémon is an alternate form (Mega, regional or other named form).
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @returns {boolean} - True if the name carries a form.
+ */
+const isAlternateForm = (pokemon) => {
+    return getSpeciesName(pokemon) !== pokemon.name;
+};
+
+/**
+ * Builds the evolution trees of a list of Pokémon from their previousForms. Each
+ * Pokémon hangs under its nearest previous form in the list, so branching lines such
+ * as Eevee's get one branch per evolution. Alternate forms of a species come after
+ * its regular evolutions (e.g. Charizard's Megas under Charizard), and regional lines
+ * follow the regular line of the same species when both are listed.
+ *
+ * @param {Array} list - The Pokémon to arrange.
+ * @returns {Array} - The trees as nodes of { pokemon, children }.
+ */
+const getEvolutionTrees = (list) => {
+    const nodes = new Map(list.map((pokemon) => [pokemon.id, { pokemon, children: [] }]));
+    const roots = [];
+
+    list.forEach((pokemon) => {
+        const parentId = pokemon.previousForms.find((id) => nodes.has(id));
+        (parentId !== undefined ? nodes.get(parentId).children : roots).push(nodes.get(pokemon.id));
+    });
+    nodes.forEach((node) => node.children.sort((a, b) => isAlternateForm(a.pokemon) - isAlternateForm(b.pokemon)));
+
+    // Place regional lines directly after the regular line of their species
+    const regularNames = new Set(roots.filter((root) => !isAlternateForm(root.pokemon)).map((root) => root.pokemon.name));
+    const isGrouped = (root) => isAlternateForm(root.pokemon) && regularNames.has(getSpeciesName(root.pokemon));
+    return roots.filter((root) => !isGrouped(root)).flatMap((root) => [
+        root,
+        ...roots.filter((form) => isGrouped(form) && getSpeciesName(form.pokemon) === root.pokemon.name)
+    ]);
+};
+
+/**
+ * Counts the stages of the deepest branch of an evolution tree.
+ *
+ * @param {Object} node - The root node of the tree.
+ * @returns {number} - The number of stages.
+ */
+const getTreeDepth = (node) => {
+    return 1 + Math.max(0, ...node.children.map(getTreeDepth));
+};
+
+/**
+ * Counts the branches (leaves) of an evolution tree, which is how many table rows it takes.
+ *
+ * @param {Object} node - The root node of the tree.
+ * @returns {number} - The number of branches.
+ */
+const getTreeBranches = (node) => {
+    return node.children.length === 0 ? 1 : node.children.reduce((sum, child) => sum + getTreeBranches(child), 0);
+};
+
+/**
+ * Returns the table rows of the evolution trees for the given list of Pokémon.
+ * Each stage is a column and each branch is a row: a Pokémon spans the rows of all
+ * the branches that evolve from it. The number of columns follows the longest line,
+ * and a header row of empty cells keeps the columns evenly sized.
+ * @param {Array} pokemonList - The list of Pokémon to generate evolution trees for.
+ * @param {string} variantType - The variant shown on the cards.
+ * @returns {string} - The HTML of the table rows.
+ */
+const getEvolutionRows = (pokemonList, variantType) => {
+    const trees = getEvolutionTrees(pokemonList);
+    const columns = Math.max(1, ...trees.map(getTreeDepth));
+
+    /* Returns a string of HTML for a table cell holding a Pokémon card that spans
+     * the rows of its branches.
+     */
+    const renderCell = (node) => {
+        const pokemon = node.pokemon;
+
+        // Get the selected variant for the current Pokémon
+        const selectedVariant = pokemon.variants.find(v => v.type === variantType);
+        const rowspan = getTreeBranches(node);
+        return `
+            <td ${rowspan > 1 ? `rowspan="${rowspan}"` : ""} class="${isAlternateForm(pokemon) ? "form-branch" : ""}">
+                <div class="pokemon-card ${selectedVariant?.caught ? "caught" : ""} ${wishlist.targetMode && isWishlisted(pokemon, selectedVariant.type) ? "target" : ""} ${isEvolvable(pokemon, selectedVariant.type) ? "evolvable" : ""}"
+                    data-id="${pokemon.id}" data-variant="${selectedVariant.type}" onclick="toggleCaught(${pokemon.id}, '${selectedVariant.type}', event)">
+                    <h4>${selectedVariant.type} ${pokemon.name}</h4>
+                    ${isEvolvable(pokemon, selectedVariant.type) ? `<span class="evolvable-label">Evolvable</span>` : ""}
+                    ${renderQuantityControls(pokemon, selectedVariant)}
+                    <button class="info-button" title="Details" onclick="event.stopPropagation(); openPokemonDetail(${pokemon.id})">i</button>
+                </div>
+            </td>
+        `;
+    };
+
+    // Walk each tree depth first, starting a new row after every branch ends
+    const rows = [];
+    let currentRow = null;
+    const visit = (node, depth) => {
+        if (!currentRow) {
+            currentRow = [];
+            rows.push(currentRow);
+        }
+        currentRow.push(renderCell(node));
+
+        if (node.children.length === 0) {
+            // Fill in the stages missing from a short branch with empty cells
+            for (let column = depth + 1; column < columns; column++) currentRow.push(`<td></td>`);
+            currentRow = null;
+            return;
+        }
+        node.children.forEach((child) => visit(child, depth + 1));
+    };
+    trees.forEach((tree) => visit(tree, 0));
+
+    const header = `<tr>${"<th></th>".repeat(columns)}</tr>`;
+    return header + rows.map((row) => `<tr>${row.join("")}</tr>`).join("");
+};
+
+/**
+ * Displays Pokémon sorted by variant type and rarity in the Pokédex.
+ * Filters and groups Pokémon based on active filters and caught status.
+ * 
+ * @param {Array} list - The list of Pokémon to display.
+ */
+const displayPokemon = (list) => {
+    // Group Pokémon by variant type and sort within each group by rarity
+    const sortedByVariant = VARIANT_ORDER.map((variantType) => ({
+        type: variantType,
+        pokemons: list.filter((pokemon) =>
+            pokemon.variants.some((variant) => variant.type === variantType)
+        ).sort((a, b) => {
+            const aRarityIndex = RARITY_ORDER.indexOf(a.rarity);
+            const bRarityIndex = RARITY_ORDER.indexOf(b.rarity);
+            return aRarityIndex - bRarityIndex;
+        }),
+    }));
+
+    const fragment = document.createDocumentFragment();
+
+    // Iterate over each variant group to build the display
+    sortedByVariant.forEach((variantGroup) => {
+        if (variantGroup.pokemons.length === 0) return; // Skip empty groups
+
+        // Check if all Pokémon in the group are caught
+        const allCaught = variantGroup.pokemons.every((pokemon) => {
+            const variant = pokemon.variants.find((v) => v.type === variantGroup.type);
+            return variant?.caught;
+        });
+
+        // Skip the group if all Pokémon are caught and caught Pokémon are hidden
+        if (!showCaught && allCaught) return;
+
+        // Filter out groups if a specific variant filter is active
+        if (activeFilters.variant !== "" && activeFilters.variant !== variantGroup.type) return;
+
+        const groupDiv = document.createElement("div");
+        groupDiv.className = "variant-group";
+        groupDiv.innerHTML = `
+            <h2>${variantGroup.type} Pokémon</h2>
+            <div class="bulk-actions">
+                <button onclick="setRouteCaught('${variantGroup.type}', true)">Mark All</button>
+                <button onclick="setRouteCaught('${variantGroup.type}', false)">Unmark All</button>
+            </div>
+            <table class="pokemon-table">
+                ${getEvolutionRows(variantGroup.pokemons, variantGroup.type)}
+            </table>
+        `;
+        fragment.appendChild(groupDiv);
+    });
+
+    // Clear previous display and append the new Pokémon display, with the whole route actions on top
+    pokedex.innerHTML = fragment.childNodes.length > 0 ? `
+        <div class="bulk-actions">
+            <button onclick="setRouteCaught('', true)">Mark Whole Route</button>
+            <button onclick="setRouteCaught('', false)">Unmark Whole Route</button>
+        </div>
+    ` : "";
+    pokedex.appendChild(fragment);
+};
+
+//Changes and Undo -------------------------------------------------
+const UNDO_LIMIT = 100;
+
+/**
+ * Returns the stored state of a variant.
+ *
+ * @param {Object} variant - The variant to read.
+ * @returns {Object} - The state of the variant.
+ */
+const getVariantState = (variant) => {
+    return { caught: variant.caught, owned: variant.owned || 0, reserved: variant.reserved || 0 };
+};
+
+/**
+ * Applies a list of variant changes to pokemonList and records caught status
+ * changes in the catch history. Changes that would not alter a variant are skipped.
+ *
+ * @param {Array} changes - The changes to apply, each as { id, variant, to } where `to` is a partial variant state.
+ * @param {string} source - What caused the changes (e.g. "toggle", "import", "undo").
+ * @returns {Array} - The applied changes as { id, variant, from, to } so they can be reverted.
+ */
+const applyVariantChanges = (changes, source) => {
+    const applied = [];
+
+    changes.forEach(({ id, variant: variantType, to }) => {
+        const pokemon = pokemonList.find((p) => p.id === id);
+        const variant = pokemon && pokemon.variants.find((v) => v.type === variantType);
+        if (!variant) return;
+
+        const state = getVariantState(variant);
+        const from = {};
+        Object.keys(to).forEach((key) => from[key] = state[key]);
+        if (Object.keys(to).every((key) => from[key] === to[key])) return;
+
+        Object.assign(variant, to);
+        if (from.caught !== variant.caught) {
+            logCatchEvent(id, variantType, variant.caught, source);
+        }
+        applied.push({ id, variant: variantType, from, to });
+    });
+
+    return applied;
+};
+
+/**
+ * Applies a list of variant changes as one operation: a single undo entry, a
+ * single save and one refresh of the counters, route probabilities and display.
+ *
+ * @param {string} label - A short description of the operation shown on the undo button.
+ * @param {Array} changes - The changes to apply, each as { id, variant, to }.
+ * @param {string} source - What caused the changes (e.g. "toggle", "import", "clear").
+ * @returns {Array} - The changes that were applied.
+ */
+const commitChanges = (label, changes, source) => {
+    const applied = applyVariantChanges(changes, source);
+    if (applied.length === 0) return applied;
+
+    undoStack.push({ label, changes: applied });
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    redoStack = [];
+
+    saveProgress();
+    refreshProgressDisplay();
+
+    // Take an automatic restore point every backupInterval changed variants
+    changesSinceBackup += applied.length;
+    if (changesSinceBackup >= appSettings.backupInterval) {
+        createBackup("Automatic");
+    }
+    return applied;
+};
+
+/**
+ * Reverts the most recent operation on the undo stack and moves it to the redo stack.
+ */
+const undo = () => {
+    const entry = undoStack.pop();
+    if (!entry) return;
+
+    applyVariantChanges(entry.changes.map(({ id, variant, from }) => ({ id, variant, to: from })), "undo");
+    redoStack.push(entry);
+
+    saveProgress();
+    refreshProgressDisplay();
+};
+
+/**
+ * Re-applies the most recently undone operation and moves it back to the undo stack.
+ */
+const redo = () => {
+    const entry = redoStack.pop();
+    if (!entry) return;
+
+    applyVariantChanges(entry.changes.map(({ id, variant, to }) => ({ id, variant, to })), "redo");
+    undoStack.push(entry);
+
+    saveProgress();
+    refreshProgressDisplay();
+};
+
+/**
+ * Enables or disables the undo and redo buttons and shows which operation they
+ * would revert or re-apply.
+ */
+const updateUndoButtons = () => {
+    const lastUndo = undoStack[undoStack.length - 1];
+    const lastRedo = redoStack[redoStack.length - 1];
+
+    undoButton.disabled = !lastUndo;
+    undoButton.title = lastUndo ? `Undo ${lastUndo.label}` : "";
+    redoButton.disabled = !lastRedo;
+    redoButton.title = lastRedo ? `Redo ${lastRedo.label}` : "";
+};
+
+//Bulk Actions -------------------------------------------------
+let rangeAnchor = null; // The last clicked card as { id, variant, caught }
+
+/**
+ * Marks or unmarks a list of variants as one change: a single save, undo entry and recount.
+ *
+ * @param {string} label - The label of the undo entry.
+ * @param {Array} targets - The variants as { id, variant }.
+ * @param {boolean} caught - True to mark them caught, false to unmark them.
+ */
+const setVariantsCaught = (label, targets, caught) => {
+    commitChanges(label, targets.map(({ id, variant }) => ({ id, variant, to: { caught } })), "bulk");
+};
+
+/**
+ * Marks or unmarks one variant across the whole evolution line of a Pokémon.
+ *
+ * @param {number} id - The id of any Pokémon in the line.
+ * @param {string} variantType - The variant type.
+ * @param {boolean} caught - True to mark, false to unmark.
+ */
+const setLineCaught = (id, variantType, caught) => {
+    const pokemon = pokemonList.find((p) => p.id === id);
+    if (!pokemon) return;
+
+    const line = getEvolutionLine(pokemon).filter((member) => member.variants.some((variant) => variant.type === variantType));
+    setVariantsCaught(
+        `${caught ? "Mark" : "Unmark"} ${variantType} ${line[0].name} line`,
+        line.map((member) => ({ id: member.id, variant: variantType })),
+        caught
+    );
+};
+
+/**
+ * Marks or unmarks every variant of one Pokémon.
+ *
+ * @param {number} id - The id of the Pokémon.
+ * @param {boolean} caught - True to mark, false to unmark.
+ */
+const setSpeciesCaught = (id, caught) => {
+    const pokemon = pokemonList.find((p) => p.id === id);
+    if (!pokemon) return;
+
+    setVariantsCaught(
+        `${caught ? "Mark" : "Unmark"} all ${pokemon.name}`,
+        pokemon.variants.map((variant) => ({ id, variant: variant.type })),
+        caught
+    );
+};
+
+/**
+ * Marks or unmarks every Pokémon shown for the current filters, either in one
+ * variant group or in every group shown. Without a location filter the user is
+ * asked to confirm how many variants will change.
+ *
+ * @param {string} variantType - The variant group, or "" for the whole route.
+ * @param {boolean} caught - True to mark, false to unmark.
+ */
+const setRouteCaught = (variantType, caught) => {
+    const variantTypes = variantType ? [variantType] : VARIANT_ORDER.filter((type) => !activeFilters.variant || type === activeFilters.variant);
+    const targets = getDisplayList(getFilteredLines()).flatMap((pokemon) =>
+        pokemon.variants.filter((variant) => variantTypes.includes(variant.type)).map((variant) => ({ id: pokemon.id, variant: variant.type }))
+    );
+    const where = activeFilters.location || "the filtered Pokémon";
+
+    // Without a location the filters can span the whole dex, so confirm the size of the change
+    if (!activeFilters.location) {
+        const changing = getDisplayList(getFilteredLines()).reduce((sum, pokemon) =>
+            sum + pokemon.variants.filter((variant) => variantTypes.includes(variant.type) && Boolean(variant.caught) !== caught).length, 0);
+        if (changing === 0) return;
+        if (!window.confirm(`This will ${caught ? "mark" : "unmark"} ${changing} variants across every location that matches the filters. Continue?`)) return;
+    }
+    setVariantsCaught(`${caught ? "Mark" : "Unmark"} ${variantType || "all"} on ${where}`, targets, caught);
+};
+
+/**
+ * Sets every visible card from the last clicked card to the given one to the state
+ * the last clicked card was set to.
+ *
+ * @param {number} id - The id of the shift-clicked Pokémon.
+ * @param {string} variantType - The variant of the shift-clicked card.
+ */
+const setCardRangeCaught = (id, variantType) => {
+    const cards = [...pokedex.querySelectorAll(".pokemon-card[data-id]")].filter((card) => card.style.display !== "none");
+    const indexOf = (cardId, cardVariant) => cards.findIndex((card) =>
+        parseInt(card.dataset.id) === cardId && card.dataset.variant === cardVariant
+    );
+
+    const start = indexOf(rangeAnchor.id, rangeAnchor.variant);
+    const end = indexOf(id, variantType);
+    if (start === -1 || end === -1) {
+        // The last clicked card is no longer shown, so start a new range here
+        rangeAnchor = null;
+        toggleCaught(id, variantType);
+        return;
+    }
+
+    const range = cards.slice(Math.min(start, end), Math.max(start, end) + 1);
+    setVariantsCaught(
+        `${rangeAnchor.caught ? "Mark" : "Unmark"} ${range.length} cards`,
+        range.map((card) => ({ id: parseInt(card.dataset.id), variant: card.dataset.variant })),
+        rangeAnchor.caught
+    );
+};
+
+//Quantities -------------------------------------------------
+/**
+ * Returns how many copies of a variant can be traded away: those owned beyond the
+ * copies reserved for evolving and the one kept for the Pokédex.
+ *
+ * @param {Object} variant - The variant.
+ * @returns {number} - The tradeable copies.
+ */
+const getTradeableCount = (variant) => {
+    const { caught, owned, reserved } = getVariantState(variant);
+    return Math.max(0, owned - reserved - (caught ? 1 : 0));
+};
+
+/**
+ * Sorts variant entries by variant order, then by Pokémon name.
+ *
+ * @param {Array} entries - The entries as { pokemon, variant, ... }.
+ * @returns {Array} - The sorted entries.
+ */
+const sortVariantEntries = (entries) => {
+    return entries.sort((a, b) =>
+        VARIANT_ORDER.indexOf(a.variant.type) - VARIANT_ORDER.indexOf(b.variant.type) || a.pokemon.name.localeCompare(b.pokemon.name)
+    );
+};
+
+/**
+ * Lists the copies reserved for evolving of every Pokémon that can evolve, one
+ * entry per copy.
+ *
+ * @returns {Array} - The entries as { pokemon, variant }.
+ */
+const getEvolvableEntries = () => {
+    const canEvolve = new Set(pokemonList.flatMap((pokemon) => pokemon.previousForms.slice(0, 1)));
+    return sortVariantEntries(pokemonList.filter((pokemon) => canEvolve.has(pokemon.id)).flatMap((pokemon) =>
+        pokemon.variants.map((variant) => ({ pokemon, variant }))
+    )).flatMap((entry) => new Array(getVariantState(entry.variant).reserved).fill(entry));
+};
+
+/**
+ * Adds or removes copies of a variant as an undoable change. Adding the first copy
+ * also marks the variant caught, and the reserved copies never exceed those owned.
+ *
+ * @param {number} id - The ID of the Pokémon.
+ * @param {string} variantType - The variant type.
+ * @param {string} key - "owned" or "reserved".
+ * @param {number} delta - The number of copies to add (negative to remove).
+ */
+const changeQuantity = (id, variantType, key, delta) => {
+    const pokemon = pokemonList.find((p) => p.id === id);
+    const variant = pokemon && pokemon.variants.find((v) => v.type === variantType);
+    if (!variant) return;
+
+    const state = getVariantState(variant);
+    const to = { [key]: Math.max(0, state[key] + delta) };
+    if (key === "reserved") to.reserved = Math.min(to.reserved, state.owned);
+    if (key === "owned" && to.owned < state.reserved) to.reserved = to.owned;
+    if (key === "owned" && delta > 0 && !state.caught) to.caught = true;
+
+    const label = key === "owned" ? "" : " reserved";
+    commitChanges(`${delta > 0 ? "+" : "−"}${Math.abs(delta)}${label} ${variantType} ${pokemon.name}`, [{ id, variant: variantType, to }], "quantity");
+};
+
+/**
+ * Returns the quantity controls of a card: the copies owned and reserved with
+ * buttons to remove or add a copy. Empty when quantities are not tracked.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @param {Object} variant - The variant shown on the card.
+ * @returns {string} - The HTML of the controls.
+ */
+const renderQuantityControls = (pokemon, variant) => {
+    if (!appSettings.trackQuantities) return "";
+
+    const { owned, reserved } = getVariantState(variant);
+    return `
+        <div class="quantity-controls" onclick="event.stopPropagation()">
+            <button onclick="changeQuantity(${pokemon.id}, '${variant.type}', 'owned', -1)">−</button>
+            <span title="Owned${reserved ? `, ${reserved} reserved for evolving` : ""}">${owned}${reserved ? ` (${reserved}R)` : ""}</span>
+            <button onclick="changeQuantity(${pokemon.id}, '${variant.type}', 'owned', 1)">+</button>
+        </div>
+    `;
+};
+
+/**
+ * Updates the label of the quantity tracking button in the settings menu.
+ */
+const updateTrackQuantitiesButton = () => {
+    trackQuantitiesButton.textContent = `Track Quantities: ${appSettings.trackQuantities ? "On" : "Off"}`;
+};
+
+//Evolution-Aware Hunting -------------------------------------------------
+let evolvableVariants = new Map(); // "id|variant" of evolvable variants to the Pokémon to evolve
+
+/**
+ * Checks whether a variant of a Pokémon can be used for evolving. With quantities
+ * tracked a spare copy is needed (one reserved, or more than the one kept for the
+ * Pokédex), otherwise catching the variant is enough.
+ *
+ * @param {Object} variant - The variant of the previous form.
+ * @returns {boolean} - True if it can be evolved.
+ */
+const canEvolveFrom = (variant) => {
+    if (!appSettings.trackQuantities) return variant.caught;
+    const { owned, reserved } = getVariantState(variant);
+    return reserved > 0 || owned > 1;
+};
+
+/**
+ * Finds the uncaught variants that can be obtained by evolving a previous form that
+ * is already owned in the same variant. Only used in evolution-aware mode.
+ */
+const updateEvolvableVariants = () => {
+    evolvableVariants = new Map();
+    if (!appSettings.evolutionAware) return;
+
+    const pokemonById = new Map(pokemonList.map((pokemon) => [pokemon.id, pokemon]));
+    pokemonList.forEach((pokemon) => {
+        pokemon.variants.filter((variant) => !variant.caught).forEach((variant) => {
+            // The nearest owned previous form is the one to evolve
+            const from = pokemon.previousForms.map((id) => pokemonById.get(id)).find((previous) => {
+                const previousVariant = previous && previous.variants.find((v) => v.type === variant.type);
+                return previousVariant && canEvolveFrom(previousVariant);
+            });
+            if (from) evolvableVariants.set(`${pokemon.id}|${variant.type}`, from);
+        });
+    });
+};
+
+/**
+ * Checks whether a variant is marked evolvable, so it does not need to be hunted.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @param {string} variantType - The variant type.
+ * @returns {boolean} - True if it can be obtained by evolving an owned previous form.
+ */
+const isEvolvable = (pokemon, variantType) => {
+    return evolvableVariants.has(`${pokemon.id}|${variantType}`);
+};
+
+/**
+ * Updates the label of the evolution-aware button in the settings menu.
+ */
+const updateEvolutionAwareButton = () => {
+    evolutionAwareButton.textContent = `Evolution-Aware: ${appSettings.evolutionAware ? "On" : "Off"}`;
+};
+
+/**
+ * Renders the checklist of evolutions that can be done right now (from an owned
+ * direct previous form), grouped by variant. Ticking an evolution marks the evolved
+ * variant caught. Does nothing while the checklist is closed.
+ */
+const renderEvolutionChecklist = () => {
+    if (openPanel !== evolutionChecklistPanel) return;
+    if (!appSettings.evolutionAware) {
+        evolutionChecklist.innerHTML = `<p>Turn on Evolution-Aware in Settings to find the evolutions you can do.</p>`;
+        return;
+    }
+
+    const entries = sortVariantEntries([...evolvableVariants.entries()].map(([key, from]) => {
+        const [id, variantType] = key.split("|");
+        const pokemon = pokemonList.find((p) => p.id === parseInt(id));
+        return { pokemon, variant: pokemon.variants.find((v) => v.type === variantType), from };
+    }).filter(({ pokemon, from }) => pokemon.previousForms[0] === from.id));
+
+    if (entries.length === 0) {
+        evolutionChecklist.innerHTML = `<p>No evolutions available right now.</p>`;
+        return;
+    }
+
+    evolutionChecklist.innerHTML = `<ul>${entries.map(({ pokemon, variant, from }) => `
+        <li>
+            <label>
+                <input type="checkbox" onchange="toggleCaught(${pokemon.id}, '${variant.type}')">
+                ${variant.type} ${from.name} → ${pokemon.name}
+            </label>
+        </li>
+    `).join("")}</ul>`;
+};
+
+/**
+ * Opens the checklist of evolutions that can be done right now.
+ */
+const openEvolutionChecklistPanel = () => {
+    showPanel(evolutionChecklistPanel);
+    renderEvolutionChecklist();
+};
+
+//Capture Card Visibility -------------------------------------------------
+/**
+ * Toggles the caught status of the given Pokémon and its variant.
+ * @param {number} id - The ID of the Pokémon to toggle.
+ * @param {string} variantType - The type of the variant to toggle (e.g. "Normal", "Shiny", etc.).
+ * @param {MouseEvent} [event] - The click on the card; with Shift held it sets a range of cards instead.
+ */
+const toggleCaught = (id, variantType, event) => {
+    // Shift-click sets every card from the last clicked one to this one
+    if (event && event.shiftKey && rangeAnchor) {
+        setCardRangeCaught(id, variantType);
+        return;
+    }
+
+    const pokemon = pokemonList.find((p) => p.id === id);
+    if (pokemon) {
+        const variant = pokemon.variants.find((v) => v.type === variantType);
+        if (variant) {
+            // Toggle the caught status of the variant as a single undoable change
+            commitChanges(`${variantType} ${pokemon.name}`, [{ id, variant: variantType, to: { caught: !variant.caught } }], "toggle");
+            rangeAnchor = { id, variant: variantType, caught: variant.caught };
+        }
+    }
+};
+
+/**
+ * Applies visibility rules to the Pokémon cards based on the showCaught flag.
+ * If showCaught is true, all caught Pokémon cards are displayed. Otherwise, they are hidden.
+ */
+const applyCaughtVisibilityRules = () => {
+    const caughtCards = document.querySelectorAll(".pokemon-card.caught");
+
+    // Iterate over each caught Pokémon card and apply visibility rules
+    caughtCards.forEach((card) => {
+        // If showCaught is true, display the card. Otherwise, hide it.
+        card.style.display = showCaught ? "block" : "none";
+    });
+};
+
+/**
+ * Toggles the visibility of caught Pokémon cards.
+ * If showCaught is true, all caught Pokémon cards are displayed. Otherwise, they are hidden.
+ * The button text is updated to reflect the new state.
+ */
+const toggleCaughtVisibility = () => {
+    // Toggle the showCaught flag
+    showCaught = !showCaught;
+
+    // Apply visibility rules to the Pokémon cards
+    applyCaughtVisibilityRules();
+
+    // Update the button text
+    const toggleButton = document.getElementById("toggleCaughtButton");
+    toggleButton.textContent = showCaught ? "Hide Caught Pokémon" : "Show Caught Pokémon";
+
+    // Re-apply filters to the Pokémon list
+    filterPokemon();
+};
+
+//Counters ---------------------------------------------------------------
+/**
+ * Updates the display of the Overall Pokémon counter based on the current value of
+ * `counterMode`.
+ * 
+ * @returns {void}
+ */
+const updatePokemonCounter = () => {
+    // Calculate total number of Pokémon and number of caught Pokémon
+    const totalPokemon = pokemonList.reduce(
+        (sum, pokemon) => sum + pokemon.variants.length,
+        0
+    );
+    const caughtPokemon = pokemonList.reduce(
+        (sum, pokemon) =>
+        sum + pokemon.variants.filter((variant) => variant.caught).length,
+        0
+    );
+
+    const counterElement = document.getElementById("pokemonCounter");
+
+    // Update the counter display based on the current value of `counterMode`
+    if (counterMode === "count") {
+        counterElement.textContent = `Caught: ${caughtPokemon} / ${totalPokemon}`;
+    } else if (counterMode === "percent") {
+        const percent = (caughtPokemon / totalPokemon) * 100;
+        counterElement.textContent = `Caught: ${percent.toFixed(2)}%`;
+    }
+};
+
+/**
+ * Updates the display of the Route Pokémon counter based on the current value of
+ * `counterMode`.
+ * 
+ * @returns {void}
+ */
+const updateRouteCounter = () => {
+    // Update the counter display based on the current value of `counterMode`
+    if (counterMode === "count") {
+        // Display the count of caught Pokémon out of the total
+        document.getElementById("routeCompletion").textContent = `Route : ${caughtPokemon} / ${totalPokemon} `
+    } else if (counterMode === "percent") {
+        // Display the percentage of caught Pokémon out of the total
+        const percent = (caughtPokemon / totalPokemon) * 100;
+        document.getElementById("routeCompletion").textContent = `Route : ${percent.toFixed(2)}%`
+    }
+}
+
+// Probability Model -------------------------------------------------------------
+/**
+ * Returns a deep copy of a probability model.
+ *
+ * @param {Object} model - The probability model to copy.
+ * @returns {Object} - The copied model.
+ */
+const copyProbabilityModel = (model) => {
+    return {
+        rarityProbabilities: { ...model.rarityProbabilities },
+        commonModifiers: { ...model.commonModifiers },
+        rareModifiers: { ...model.rareModifiers }
+    };
+};
+
+/**
+ * Checks that a probability model, e.g. one taken from an imported code, has a rate
+ * for every rarity and a modifier for every variant, all finite and not negative.
+ *
+ * @param {Object} model - The probability model to check.
+ * @returns {boolean} - True if the model can be used.
+ */
+const isValidProbabilityModel = (model) => {
+    const isValidTable = (table, keys) => Boolean(table) && typeof table === "object" &&
+        keys.every((key) => typeof table[key] === "number" && Number.isFinite(table[key]) && table[key] >= 0);
+    return Boolean(model) && typeof model === "object" &&
+        isValidTable(model.rarityProbabilities, RARITY_ORDER) &&
+        isValidTable(model.commonModifiers, VARIANT_ORDER) &&
+        isValidTable(model.rareModifiers, VARIANT_ORDER);
+};
+
+/**
+ * Returns true if the active profile's probability model matches the defaults.
+ *
+ * @returns {boolean} - True if the default model is in use.
+ */
+const isDefaultProbabilityModel = () => {
+    return JSON.stringify(probabilityModel) === JSON.stringify(DEFAULT_PROBABILITY_MODEL);
+};
+
+/**
+ * Replaces the active profile's probability model, saves it and updates the route
+ * probabilities and the model editor.
+ *
+ * @param {Object} model - The new probability model.
+ */
+const setProbabilityModel = (model) => {
+    probabilityModel = copyProbabilityModel(model);
+    updateActiveProbabilityModel();
+    saveProgress();
+    renderProbabilityModelEditor();
+    refreshProgressDisplay();
+};
+
+/**
+ * Renders the probability model tables with an input for every value. Common is the
+ * remainder once the rarer encounters present on a route are taken out, so it is
+ * not editable.
+ */
+const renderProbabilityModelEditor = () => {
+    const renderTable = (title, tableName, keys, editable = () => true) => {
+        const table = probabilityModel[tableName];
+        const rows = keys.map((key) => `
+            <tr>
+                <td>${key}</td>
+                <td>${editable(key)
+                    ? `<input type="number" min="0" step="any" value="${table[key]}" data-table="${tableName}" data-key="${key}">`
+                    : "Remainder"}</td>
+            </tr>
+        `).join("");
+
+        // Modifier tables show their total as the variant shares should add up to 1
+        let totalRow = "";
+        if (tableName !== "rarityProbabilities") {
+            const total = keys.reduce((sum, key) => sum + table[key], 0);
+            totalRow = `<tr class="${Math.abs(total - 1) > 1e-9 ? "model-warning" : ""}"><td>Total</td><td>${+total.toFixed(6)}</td></tr>`;
+        }
+
+        return `
+            <table class="model-table">
+                <tr><th colspan="2">${title}</th></tr>
+                ${rows}
+                ${totalRow}
+            </table>
+        `;
+    };
+
+    probabilityModelTables.innerHTML = [
+        renderTable("Rarity", "rarityProbabilities", RARITY_ORDER, (key) => key !== "Common"),
+        renderTable("Common Modifiers", "commonModifiers", VARIANT_ORDER),
+        renderTable("Rare Modifiers", "rareModifiers", VARIANT_ORDER)
+    ].join("");
+};
+
+/**
+ * Updates a single value of the probability model from its editor input.
+ *
+ * @param {HTMLInputElement} input - The editor input holding the table and key in its dataset.
+ */
+const updateProbabilityModelValue = (input) => {
+    const value = parseFloat(input.value);
+    if (isNaN(value) || value < 0) {
+        input.value = probabilityModel[input.dataset.table][input.dataset.key];
+        return;
+    }
+
+    const model = copyProbabilityModel(probabilityModel);
+    model[input.dataset.table][input.dataset.key] = value;
+    setProbabilityModel(model);
+};
+
+/**
+ * Resets the active profile's probability model to the default values.
+ */
+const resetProbabilityModel = () => {
+    setProbabilityModel(DEFAULT_PROBABILITY_MODEL);
+};
+
+/**
+ * Opens the probability model editor.
+ */
+const openProbabilityModelPanel = () => {
+    renderProbabilityModelEditor();
+    showPanel(probabilityModelPanel);
+};
+
+// Encounter Calibration -------------------------------------------------------------
+const CALIBRATED_RARITIES = ["Rare", "Legendary", "Ultra Beast", "Paradox"];
+
+/**
+ * Returns the natural logarithm of the gamma function (Lanczos approximation).
+ *
+ * @param {number} x - A positive number.
+ * @returns {number} - ln Γ(x).
+ */
+const logGamma = (x) => {
+    const coefficients = [
+        676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+        12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+    if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+
+    x -= 1;
+    let sum = 0.99999999999980993;
+    coefficients.forEach((coefficient, i) => sum += coefficient / (x + i + 1));
+    const t = x + coefficients.length - 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+/**
+ * Evaluates the continued fraction of the incomplete beta function.
+ *
+ * @param {number} x - The point to evaluate at, between 0 and 1.
+ * @param {number} a - The first shape parameter.
+ * @param {number} b - The second shape parameter.
+ * @returns {number} - The value of the continued fraction.
+ */
+const betaContinuedFraction = (x, a, b) => {
+    const tiny = 1e-300;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let result = d;
+
+    for (let m = 1; m <= 300; m++) {
+        const m2 = 2 * m;
+        // Even step
+        let term = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 / (Math.abs(1 + term * d) < tiny ? tiny : 1 + term * d);
+        c = Math.abs(1 + term / c) < tiny ? tiny : 1 + term / c;
+        result *= d * c;
+        // Odd step
+        term = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 / (Math.abs(1 + term * d) < tiny ? tiny : 1 + term * d);
+        c = Math.abs(1 + term / c) < tiny ? tiny : 1 + term / c;
+        const delta = d * c;
+        result *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return result;
+};
+
+/**
+ * Returns the cumulative distribution function of the Beta(a, b) distribution.
+ *
+ * @param {number} x - The point to evaluate at, between 0 and 1.
+ * @param {number} a - The first shape parameter.
+ * @param {number} b - The second shape parameter.
+ * @returns {number} - P(X <= x).
+ */
+const betaCdf = (x, a, b) => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    // Use the symmetry relation where the continued fraction converges faster
+    if (x < (a + 1) / (a + b + 2)) return front * betaContinuedFraction(x, a, b) / a;
+    return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+};
+
+/**
+ * Returns the quantile of the Beta(a, b) distribution by bisection.
+ *
+ * @param {number} p - The cumulative probability, between 0 and 1.
+ * @param {number} a - The first shape parameter.
+ * @param {number} b - The second shape parameter.
+ * @returns {number} - The value x with P(X <= x) = p.
+ */
+const betaQuantile = (p, a, b) => {
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (betaCdf(mid, a, b) < p) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+};
+
+/**
+ * Estimates a rate with a Bayesian update of a Beta prior centred on the assumed
+ * rate, weighted as if it had been observed over priorStrength encounters.
+ *
+ * @param {number} assumed - The assumed rate used as the prior mean.
+ * @param {number} successes - How many encounters matched.
+ * @param {number} trials - How many encounters were relevant.
+ * @returns {Object} - The estimate with the observed counts, posterior mean and 95% interval.
+ */
+const estimateRate = (assumed, successes, trials) => {
+    const strength = calibrationSettings.priorStrength;
+    const alpha = Math.max(assumed * strength, 1e-6) + successes;
+    const beta = Math.max((1 - assumed) * strength, 1e-6) + trials - successes;
+
+    return {
+        assumed,
+        successes,
+        trials,
+        mean: alpha / (alpha + beta),
+        lower: betaQuantile(0.025, alpha, beta),
+        upper: betaQuantile(0.975, alpha, beta)
+    };
+};
+
+/**
+ * Returns the rarity slot a logged encounter counts towards. The rare spawn flag
+ * decides between Common and Rare; rarer Pokémon always count as their own rarity.
+ *
+ * @param {Object} encounter - The logged encounter.
+ * @param {Object} pokemon - The encountered Pokémon.
+ * @returns {string} - The rarity of the encounter.
+ */
+const getLoggedEncounterRarity = (encounter, pokemon) => {
+    const rarity = getEncounterRarity(pokemon);
+    if (rarity === "Common" || rarity === "Rare") return encounter.rare ? "Rare" : "Common";
+    return rarity;
+};
+
+/**
+ * Estimates the rarity probabilities and variant modifiers from the encounter log.
+ * A rarity is only counted on areas where Pokémon of that rarity can appear, as the
+ * model only applies its probability there. Variant modifiers are estimated
+ * separately for Common encounters and for everything rarer, like calculateProbability().
+ *
+ * @returns {Object} - The estimates keyed by model table and key.
+ */
+const estimateCalibration = () => {
+    const areaRarities = new Map();
+    const rarityCounts = {};
+    CALIBRATED_RARITIES.forEach((rarity) => rarityCounts[rarity] = { successes: 0, trials: 0 });
+    const variantCounts = {
+        commonModifiers: { trials: 0, counts: {} },
+        rareModifiers: { trials: 0, counts: {} }
+    };
+
+    encounterLog.forEach((encounter) => {
+        const pokemon = pokemonList.find((p) => p.id === encounter.id);
+        if (!pokemon) return;
+
+        // Find which rarities can appear on the area the encounter was logged on
+        const areaKey = `${encounter.filters.location}|${encounter.filters.time}|${encounter.filters.type}`;
+        if (!areaRarities.has(areaKey)) {
+            const areaPokemon = pokemonList.filter((p) => tripleFilter(p, encounter.filters));
+            areaRarities.set(areaKey, new Set(areaPokemon.map(getEncounterRarity)));
+        }
+        const presentRarities = areaRarities.get(areaKey);
+        const rarity = getLoggedEncounterRarity(encounter, pokemon);
+
+        CALIBRATED_RARITIES.forEach((calibratedRarity) => {
+            if (!presentRarities.has(calibratedRarity) && calibratedRarity !== rarity) return;
+            rarityCounts[calibratedRarity].trials += 1;
+            if (calibratedRarity === rarity) rarityCounts[calibratedRarity].successes += 1;
+        });
+
+        const modifierCounts = variantCounts[rarity === "Common" ? "commonModifiers" : "rareModifiers"];
+        modifierCounts.trials += 1;
+        modifierCounts.counts[encounter.variant] = (modifierCounts.counts[encounter.variant] || 0) + 1;
+    });
+
+    const estimates = { rarityProbabilities: {} };
+    CALIBRATED_RARITIES.forEach((rarity) => {
+        const { successes, trials } = rarityCounts[rarity];
+        estimates.rarityProbabilities[rarity] = estimateRate(probabilityModel.rarityProbabilities[rarity], successes, trials);
+    });
+
+    // Modifiers are estimated as shares of their table's total and scaled back to it
+    Object.keys(variantCounts).forEach((table) => {
+        const total = VARIANT_ORDER.reduce((sum, variantType) => sum + probabilityModel[table][variantType], 0);
+        const { trials, counts } = variantCounts[table];
+        estimates[table] = {};
+        VARIANT_ORDER.forEach((variantType) => {
+            const estimate = estimateRate(probabilityModel[table][variantType] / total, counts[variantType] || 0, trials);
+            estimates[table][variantType] = {
+                ...estimate,
+                assumed: estimate.assumed * total,
+                mean: estimate.mean * total,
+                lower: estimate.lower * total,
+                upper: estimate.upper * total
+            };
+        });
+    });
+
+    return estimates;
+};
+
+/**
+ * Updates the model used for route chances: the profile's probability model, or the
+ * calibrated model when calibration is enabled and encounters have been logged.
+ */
+const updateActiveProbabilityModel = () => {
+    if (!calibrationSettings.enabled || encounterLog.length === 0) {
+        activeProbabilityModel = probabilityModel;
+        return;
+    }
+
+    const estimates = estimateCalibration();
+    const model = copyProbabilityModel(probabilityModel);
+    Object.keys(estimates).forEach((table) => {
+        Object.keys(estimates[table]).forEach((key) => model[table][key] = estimates[table][key].mean);
+    });
+    activeProbabilityModel = model;
+};
+
+/**
+ * Formats a probability for the calibration table.
+ *
+ * @param {number} value - The probability.
+ * @returns {string} - The formatted value.
+ */
+const formatRate = (value) => {
+    return value < 0.001 ? value.toExponential(2) : value.toFixed(4);
+};
+
+/**
+ * Renders the logging form for the current route and the calibration table with the
+ * assumed, observed and calibrated rates, their 95% intervals and the drift from
+ * the assumed rates.
+ */
+const renderEncounterPanel = () => {
+    const { location, time, type } = activeFilters;
+    const routeSelected = location && time && type;
+    const routePokemon = routeSelected ? pokemonList.filter((pokemon) => tripleFilter(pokemon)) : [];
+
+    encounterRoute.textContent = routeSelected
+        ? `Logging on ${location} · ${time} · ${type}`
+        : "Select a location, time and type to log encounters.";
+    encounterSpecies.innerHTML = routePokemon
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((pokemon) => `<option value="${pokemon.id}">${pokemon.name}</option>`)
+        .join("");
+    encounterVariant.innerHTML = VARIANT_ORDER.map((variantType) => `<option value="${variantType}">${variantType}</option>`).join("");
+    [encounterSpecies, encounterVariant, encounterRare, logEncounterButton].forEach((element) => element.disabled = !routeSelected);
+    updateEncounterRareDefault();
+
+    const routeEncounters = encounterLog.filter((encounter) =>
+        encounter.filters.location === location && encounter.filters.time === time && encounter.filters.type === type
+    ).length;
+    encounterSummary.textContent = `Encounters logged: ${encounterLog.length}${routeSelected ? ` (${routeEncounters} on this route)` : ""}`;
+    removeEncounterButton.disabled = encounterLog.length === 0;
+
+    useCalibrationCheckbox.checked = calibrationSettings.enabled;
+    priorStrengthInput.value = calibrationSettings.priorStrength;
+
+    const estimates = estimateCalibration();
+    const titles = { rarityProbabilities: "Rarity", commonModifiers: "Common Modifiers", rareModifiers: "Rare Modifiers" };
+    const rows = Object.keys(estimates).map((table) => {
+        const tableRows = Object.keys(estimates[table]).map((key) => {
+            const estimate = estimates[table][key];
+            if (estimate.trials === 0) {
+                return `<tr><td>${key}</td><td>${formatRate(estimate.assumed)}</td><td colspan="4">No data</td></tr>`;
+            }
+
+            const drift = (estimate.mean / estimate.assumed - 1) * 100;
+            const outside = estimate.assumed < estimate.lower || estimate.assumed > estimate.upper;
+            return `
+                <tr class="${outside ? "model-warning" : ""}">
+                    <td>${key}</td>
+                    <td>${formatRate(estimate.assumed)}</td>
+                    <td>${estimate.successes} / ${estimate.trials}</td>
+                    <td>${formatRate(estimate.mean)}</td>
+                    <td>${formatRate(estimate.lower)} – ${formatRate(estimate.upper)}</td>
+                    <td>${drift >= 0 ? "+" : ""}${drift.toFixed(0)}%</td>
+                </tr>
+            `;
+        }).join("");
+        return `<tr><th colspan="6">${titles[table]}</th></tr>${tableRows}`;
+    }).join("");
+
+    calibrationTable.innerHTML = `
+        <table class="model-table">
+            <tr><th></th><th>Assumed</th><th>Observed</th><th>Calibrated</th><th>95% Interval</th><th>Drift</th></tr>
+            ${rows}
+        </table>
+    `;
+};
+
+/**
+ * Ticks the rare spawn box when the selected species is encountered as a rarer Pokémon.
+ */
+const updateEncounterRareDefault = () => {
+    const pokemon = pokemonList.find((p) => p.id === parseInt(encounterSpecies.value));
+    encounterRare.checked = pokemon ? getEncounterRarity(pokemon) !== "Common" : false;
+};
+
+/**
+ * Saves the encounter log and calibration settings and, when calibration is in
+ * use, updates the route chances.
+ */
+const saveEncounterLog = () => {
+    updateActiveProbabilityModel();
+    saveProgress();
+    if (calibrationSettings.enabled) refreshProgressDisplay();
+    renderEncounterPanel();
+};
+
+/**
+ * Logs an encounter of the selected species and variant on the current route.
+ */
+const logEncounter = () => {
+    const id = parseInt(encounterSpecies.value);
+    if (isNaN(id)) return;
+
+    encounterLog.push({
+        time: Date.now(),
+        id,
+        variant: encounterVariant.value,
+        rare: encounterRare.checked,
+        filters: { location: activeFilters.location, time: activeFilters.time, type: activeFilters.type }
+    });
+    saveEncounterLog();
+};
+
+/**
+ * Removes the most recently logged encounter.
+ */
+const removeLastEncounter = () => {
+    encounterLog.pop();
+    saveEncounterLog();
+};
+
+/**
+ * Opens the encounter log and calibration view.
+ */
+const openEncounterPanel = () => {
+    renderEncounterPanel();
+    showPanel(encounterPanel);
+};
+
+// Hunt Simulator -------------------------------------------------------------
+const SIMULATOR_MIN_RUNS = 100;
+const SIMULATOR_MAX_RUNS = 100000;
+let simulatorWorker = null;
+let simulationPlan = [];
+
+/**
+ * Fills the location, type and time dropdowns of the simulator with the areas from
+ * areasArray. Roaming is left out like in the route ranking.
+ */
+const populateSimulatorAreas = () => {
+    const locations = sortLocations(areasArray.map((area) => area.name), /^Route \d+$/i).filter((name) => name !== "Roaming");
+    simulatorLocation.innerHTML = locations.map((location) => `<option value="${location}">${location}</option>`).join("");
+    if (locations.includes(activeFilters.location)) simulatorLocation.value = activeFilters.location;
+    populateSimulatorAreaOptions();
+};
+
+/**
+ * Fills the type and time dropdowns of the simulator with the combinations that
+ * exist on the selected location, preferring the active filters.
+ */
+const populateSimulatorAreaOptions = () => {
+    const area = areasArray.find((a) => a.name === simulatorLocation.value);
+    if (!area) return;
+
+    const types = Object.keys(area.types);
+    simulatorType.innerHTML = types.map((type) => `<option value="${type}">${type}</option>`).join("");
+    if (types.includes(activeFilters.type)) simulatorType.value = activeFilters.type;
+
+    const times = Object.keys(area.types[simulatorType.value]);
+    simulatorTime.innerHTML = times.map((time) => `<option value="${time}">${time}</option>`).join("");
+    if (times.includes(activeFilters.time)) simulatorTime.value = activeFilters.time;
+};
+
+/**
+ * Adds the selected area to the end of the simulation plan.
+ */
+const addSimulationBlock = () => {
+    const encounters = parseInt(simulatorEncounters.value);
+    simulationPlan.push({
+        location: simulatorLocation.value,
+        type: simulatorType.value,
+        time: simulatorTime.value,
+        encounters: isNaN(encounters) || encounters < 1 ? null : encounters
+    });
+    renderSimulationPlan();
+};
+
+/**
+ * Removes a block from the simulation plan.
+ *
+ * @param {number} index - The position of the block in the plan.
+ */
+const removeSimulationBlock = (index) => {
+    simulationPlan.splice(index, 1);
+    renderSimulationPlan();
+};
+
+/**
+ * Renders the blocks of the simulation plan in hunting order.
+ */
+const renderSimulationPlan = () => {
+    simulatorPlanList.innerHTML = simulationPlan.length === 0
+        ? `<li>Add at least one area to simulate.</li>`
+        : simulationPlan.map((block, index) => `
+            <li>
+                <span>${index + 1}. ${block.location} · ${block.type} · ${block.time} · ${block.encounters ? `${block.encounters} encounters` : "until finished"}</span>
+                <button onclick="removeSimulationBlock(${index})">Remove</button>
+            </li>
+        `).join("");
+    runSimulationButton.disabled = simulationPlan.length === 0;
+};
+
+/**
+ * Returns the per-encounter probability of every uncaught variant on an area, keyed
+ * by Pokémon id and variant type so catches carry over between blocks.
+ *
+ * @param {Object} filters - The location, time and type of the area.
+ * @returns {Array} - The targets as { key, probability }.
+ */
+const getSimulationTargets = (filters) => {
+    const areaPokemon = pokemonList.filter((pokemon) => tripleFilter(pokemon, filters));
+    return getVariantProbabilities(areaPokemon, filters)
+        .filter(({ probability }) => probability > 0)
+        .map(({ pokemon, variant, probability }) => ({ key: `${pokemon.id}|${variant.type}`, probability }));
+};
+
+/**
+ * Runs the simulation of the plan in a Web Worker and shows the results when done.
+ */
+const runSimulation = () => {
+    if (simulationPlan.length === 0) return;
+
+    const goal = simulatorGoal.value === "count" ? parseInt(simulatorGoalCount.value) : null;
+    const runs = Math.min(SIMULATOR_MAX_RUNS, Math.max(SIMULATOR_MIN_RUNS, parseInt(simulatorRuns.value) || 2000));
+    simulatorRuns.value = runs;
+    const blocks = simulationPlan.map((block) => ({
+        encounters: block.encounters,
+        targets: getSimulationTargets(block)
+    }));
+
+    if (blocks.every((block) => block.targets.length === 0)) {
+        simulatorResults.textContent = "Nothing is left to catch on these routes, so there is nothing to simulate.";
+        return;
+    }
+
+    // Only one simulation runs at a time
+    if (simulatorWorker) simulatorWorker.terminate();
+    simulatorWorker = new Worker("simulator.js");
+
+    simulatorWorker.onmessage = (e) => {
+        if (e.data.type === "progress") {
+            simulatorResults.textContent = `Running… ${Math.round(e.data.done / runs * 100)}%`;
+            return;
+        }
+        simulatorWorker.terminate();
+        simulatorWorker = null;
+        renderSimulationResults(e.data, blocks);
+    };
+    simulatorWorker.onerror = (error) => {
+        console.error("Error running hunt simulation:", error);
+        simulatorWorker.terminate();
+        simulatorWorker = null;
+        simulatorResults.textContent = "The simulation failed. See console for details.";
+    };
+
+    simulatorResults.textContent = "Running…";
+    simulatorWorker.postMessage({ blocks, goal, runs });
+};
+
+/**
+ * Renders the distribution of encounters from the simulation with a histogram, and
+ * compares it with the closed-form estimate when a single block is hunted to the end.
+ *
+ * @param {Object} result - The result message from the worker.
+ * @param {Array} blocks - The simulated blocks.
+ */
+const renderSimulationResults = (result, blocks) => {
+    const round = (value) => Math.round(value).toLocaleString();
+
+    if (result.goal === 0) {
+        simulatorResults.textContent = "Nothing is left to catch on these routes, so there is nothing to simulate.";
+        return;
+    }
+    if (result.finished === 0) {
+        simulatorResults.innerHTML = `<p>None of the ${result.runs} runs reached the goal of ${result.goal} new catches within the plan.</p>`;
+        return;
+    }
+
+    const unfinished = result.runs - result.finished;
+    const maxCount = Math.max(...result.histogram);
+    const bars = result.histogram.map((count) =>
+        `<div class="histogram-bar" style="height: ${count / maxCount * 100}%" title="${count} runs"></div>`
+    ).join("");
+
+    let comparison = "";
+    const singleBlock = blocks.length === 1 && !blocks[0].encounters;
+    const finishGoal = result.goal === new Set(blocks[0].targets.map((target) => target.key)).size;
+    if (singleBlock && finishGoal) {
+        const estimate = estimateCompletion(blocks[0].targets.map((target) => target.probability));
+        comparison = `<p>Closed-form estimate: ${formatCompletionEstimate(estimate)}</p>`;
+    }
+
+    simulatorResults.innerHTML = `
+        <p>Encounters for ${result.goal} new catches over ${result.finished.toLocaleString()} runs:
+            mean ${round(result.mean)}, median ${round(result.median)}, 90th percentile ${round(result.p90)}</p>
+        ${unfinished > 0 ? `<p>${unfinished} runs did not reach the goal within the plan.</p>` : ""}
+        ${comparison}
+        <div class="histogram">${bars}</div>
+        <div class="histogram-axis"><span>${round(result.min)}</span><span>${round(result.max)}</span></div>
+    `;
+};
+
+/**
+ * Opens the hunt simulator, starting the plan with the current route if one is selected.
+ */
+const openSimulatorPanel = () => {
+    populateSimulatorAreas();
+    if (simulationPlan.length === 0 && activeFilters.location && activeFilters.type && activeFilters.time) {
+        simulationPlan.push({ location: activeFilters.location, type: activeFilters.type, time: activeFilters.time, encounters: null });
+    }
+    renderSimulationPlan();
+    showPanel(simulatorPanel);
+};
+
+// Search -------------------------------------------------------------
+const SEARCH_SUGGESTION_LIMIT = 8;
+const SEARCH_RESULT_LIMIT = 10;
+let searchSuggestionIndex = -1;
+
+/**
+ * Lowercases a name and strips accents, spaces and punctuation so "Farfetch'd" matches "farfetchd".
+ *
+ * @param {string} text - The text to normalise.
+ * @returns {string} - The normalised text.
+ */
+const normaliseSearchText = (text) => {
+    return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]/g, "");
+};
+
+/**
+ * Counts the single-character edits needed to turn one string into another.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} - The edit distance.
+ */
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Scores how well a name matches a search query, lower being better. Prefixes beat
+ * substrings, which beat letters in order (e.g. "chzd" for Charizard), which beat
+ * names within a typo or two of the query.
+ *
+ * @param {string} query - The normalised query.
+ * @param {string} name - The name to match.
+ * @returns {number|null} - The score, or null if the name does not match.
+ */
+const fuzzyScore = (query, name) => {
+    const target = normaliseSearchText(name);
+    if (target.startsWith(query)) return target.length / 100;
+
+    const index = target.indexOf(query);
+    if (index !== -1) return 1 + index / 100;
+
+    // Every letter of the query in order, with fewer gaps scoring better
+    let position = -1;
+    let gaps = 0;
+    const inOrder = [...query].every((char) => {
+        const next = target.indexOf(char, position + 1);
+        if (next === -1) return false;
+        gaps += next - position - 1;
+        position = next;
+        return true;
+    });
+    if (inOrder && query.length > 1) return 2 + gaps / 100;
+
+    // Allow typos against the start of the name
+    const distance = editDistance(query, target.slice(0, query.length));
+    if (query.length >= 4 && distance <= (query.length >= 7 ? 2 : 1)) return 3 + distance;
+    return null;
+};
+
+/**
+ * Finds the Pokémon whose names best match a search query.
+ *
+ * @param {string} query - The text typed into the search box.
+ * @param {number} limit - The most matches to return.
+ * @returns {Array} - The matching Pokémon, best first.
+ */
+const searchPokemon = (query, limit) => {
+    const normalised = normaliseSearchText(query);
+    if (!normalised) return [];
+
+    return pokemonList
+        .map((pokemon) => ({ pokemon, score: fuzzyScore(normalised, pokemon.name) }))
+        .filter(({ score }) => score !== null)
+        .sort((a, b) => a.score - b.score || a.pokemon.id - b.pokemon.id)
+        .slice(0, limit)
+        .map(({ pokemon }) => pokemon);
+};
+
+/**
+ * Returns every Pokémon in the evolution line of a Pokémon: its base form and
+ * everything that evolves from it, in dataset order.
+ *
+ * @param {Object} pokemon - A Pokémon in the line.
+ * @returns {Array} - The Pokémon of the line.
+ */
+const getEvolutionLine = (pokemon) => {
+    const baseId = pokemon.previousForms.length > 0 ? pokemon.previousForms[pokemon.previousForms.length - 1] : pokemon.id;
+    return pokemonList.filter((p) => p.id === baseId || p.previousForms.includes(baseId));
+};
+
+/**
+ * Shows the autocomplete suggestions for the text in the search box.
+ */
+const updateSearchSuggestions = () => {
+    const matches = searchPokemon(searchInput.value, SEARCH_SUGGESTION_LIMIT);
+    searchSuggestionIndex = -1;
+    searchSuggestions.innerHTML = matches.map((pokemon) =>
+        `<li data-id="${pokemon.id}">${pokemon.name} <span>${pokemon.rarity}</span></li>`
+    ).join("");
+    searchSuggestions.style.display = matches.length > 0 ? "block" : "none";
+};
+
+/**
+ * Hides the autocomplete suggestions.
+ */
+const hideSearchSuggestions = () => {
+    searchSuggestions.style.display = "none";
+    searchSuggestionIndex = -1;
+};
+
+/**
+ * Moves the highlighted suggestion with the arrow keys, opens the highlighted
+ * suggestion (or every match) on Enter and closes the suggestions on Escape.
+ *
+ * @param {KeyboardEvent} e - The key event from the search box.
+ */
+const handleSearchKeys = (e) => {
+    const items = [...searchSuggestions.querySelectorAll("li")];
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        if (items.length === 0) return;
+        e.preventDefault();
+        searchSuggestionIndex = (searchSuggestionIndex + (e.key === "ArrowDown" ? 1 : -1) + items.length) % items.length;
+        items.forEach((item, index) => item.classList.toggle("active", index === searchSuggestionIndex));
+    } else if (e.key === "Enter") {
+        e.preventDefault();
+        const active = items[searchSuggestionIndex];
+        showSearchResults(active ? [pokemonList.find((p) => p.id === parseInt(active.dataset.id))] : searchPokemon(searchInput.value, SEARCH_RESULT_LIMIT));
+    } else if (e.key === "Escape") {
+        hideSearchSuggestions();
+    }
+};
+
+/**
+ * Builds the result for one Pokémon: the caught status of each variant, its
+ * evolution line and every location it can be found on with the route chance there.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @returns {string} - The HTML of the result.
+ */
+const renderSearchResult = (pokemon) => {
+    const variants = VARIANT_ORDER.map((variantType) => pokemon.variants.find((variant) => variant.type === variantType)).filter(Boolean).map((variant) =>
+        `<span class="variant-status ${variant.caught ? "caught" : ""}">${variant.type}</span>`
+    ).join("");
+
+    const line = getEvolutionLine(pokemon).map((member) =>
+        member.id === pokemon.id ? `<b>${member.name}</b>` : `<a href="#" data-id="${member.id}">${member.name}</a>`
+    ).join(" · ");
+
+    const locations = pokemon.locations.map((location) => {
+        const area = areasArray.find((a) => a.name === location.place);
+        const chance = area && area.types[location.type] ? area.types[location.type][location.time] : undefined;
+        searchLocationRows.push({ location: location.place, type: location.type, time: location.time });
+        return `
+            <tr data-index="${searchLocationRows.length - 1}">
+                <td>${location.place}</td>
+                <td>${location.time}</td>
+                <td>${location.type}</td>
+                <td>${chance === undefined ? "—" : `1 in ${chance}`}</td>
+            </tr>
+        `;
+    }).join("");
+
+    return `
+        <div class="search-result">
+            <h3>${pokemon.name} <span>${pokemon.rarity}</span></h3>
+            <div>${variants}</div>
+            <p>Evolution line: ${line}</p>
+            ${locations
+                ? `<table class="ranking-table"><tr><th>Location</th><th>Time</th><th>Type</th><th>Route Chance</th></tr>${locations}</table>`
+                : `<p>Not found in the wild${pokemon.previousForms.length > 0 ? ", evolve it from an earlier form" : ""}.</p>`}
+        </div>
+    `;
+};
+
+/**
+ * Opens the search view with the results for a list of Pokémon.
+ *
+ * @param {Array} results - The Pokémon to show.
+ */
+const showSearchResults = (results) => {
+    hideSearchSuggestions();
+    searchLocationRows = [];
+    if (results.length > 0) {
+        searchResults.innerHTML = results.map(renderSearchResult).join("");
+    } else {
+        searchResults.innerHTML = `<p>No Pokémon match "${escapeHtml(searchInput.value)}".</p>`;
+    }
+    showPanel(searchPanel);
+};
+
+// Pokémon Details -------------------------------------------------------------
+const LONG_PRESS_DELAY = 500;
+let detailPokemonId = null;
+let longPressTimer = null;
+let longPressFired = false;
+
+/**
+ * Builds the evolution tree of a line as nested lists, each form under the form it
+ * evolves from. Every form other than the current one links to its own details.
+ *
+ * @param {Array} line - The Pokémon of the evolution line.
+ * @param {number} currentId - The id of the Pokémon being shown.
+ * @param {number|null} parentId - The form whose evolutions to list, null for the base form.
+ * @returns {string} - The HTML of the tree.
+ */
+const renderEvolutionTree = (line, currentId, parentId = null) => {
+    const children = line.filter((pokemon) => parentId === null ? pokemon.previousForms.length === 0 : pokemon.previousForms[0] === parentId);
+    if (children.length === 0) return "";
+
+    return `<ul>${children.map((pokemon) => `
+        <li>
+            ${pokemon.id === currentId ? `<b>${pokemon.name}</b>` : `<a href="#" data-id="${pokemon.id}">${pokemon.name}</a>`}
+            ${renderEvolutionTree(line, currentId, pokemon.id)}
+        </li>
+    `).join("")}</ul>`;
+};
+
+/**
+ * Renders the details of the shown Pokémon: its rarity, a caught toggle for each
+ * variant, its evolution tree and the per-encounter chance of each variant at every
+ * location it is found on. Does nothing while the drawer is closed.
+ */
+const renderPokemonDetail = () => {
+    if (openPanel !== detailDrawer) return;
+    const pokemon = pokemonList.find((p) => p.id === detailPokemonId);
+    if (!pokemon) return;
+
+    const variants = VARIANT_ORDER.map((variantType) => pokemon.variants.find((variant) => variant.type === variantType)).filter(Boolean);
+    const encounterRarity = getEncounterRarity(pokemon);
+
+    const toggles = variants.map((variant) =>
+        `<button class="variant-status ${variant.caught ? "caught" : ""}" onclick="toggleCaught(${pokemon.id}, '${variant.type}')">${variant.type}</button>`
+    ).join("");
+
+    detailLocationRows = [];
+    const locations = pokemon.locations.map((location) => {
+        const filters = { location: location.place, type: location.type, time: location.time };
+        const rates = getEncounterRates(pokemonList.filter((p) => tripleFilter(p, filters)), filters);
+        detailLocationRows.push(filters);
+
+        const chances = variants.map((variant) => {
+            const probability = getVariantProbability(pokemon, variant.type, rates);
+            return `<td>${probability > 0 ? `1 in ${Math.round(1 / probability).toLocaleString()}` : "—"}</td>`;
+        }).join("");
+        return `<tr data-index="${detailLocationRows.length - 1}"><td>${location.place}</td><td>${location.time}</td><td>${location.type}</td>${chances}</tr>`;
+    }).join("");
+
+    detailContent.innerHTML = `
+        <h2><u>${pokemon.name}</u></h2>
+        <p>#${pokemon.id} · ${pokemon.rarity}${encounterRarity !== pokemon.rarity ? ` (encountered as ${encounterRarity})` : ""}</p>
+        <div>${toggles}</div>
+        ${appSettings.trackQuantities ? renderDetailQuantities(pokemon, variants) : ""}
+        <div class="bulk-actions">
+            <button onclick="setSpeciesCaught(${pokemon.id}, true)">Mark All Variants</button>
+            <button onclick="setSpeciesCaught(${pokemon.id}, false)">Unmark All Variants</button>
+        </div>
+        <h3>Evolution Tree</h3>
+        <div class="bulk-actions">
+            <select id="detailLineVariant">${variants.map((variant) => `<option value="${variant.type}">${variant.type}</option>`).join("")}</select>
+            <button onclick="setLineCaught(${pokemon.id}, document.getElementById('detailLineVariant').value, true)">Mark Line</button>
+            <button onclick="setLineCaught(${pokemon.id}, document.getElementById('detailLineVariant').value, false)">Unmark Line</button>
+        </div>
+        <div class="evolution-tree">${renderEvolutionTree(getEvolutionLine(pokemon), pokemon.id)}</div>
+        <h3>Locations</h3>
+        ${locations
+            ? `<table class="ranking-table">
+                <tr><th>Location</th><th>Time</th><th>Type</th>${variants.map((variant) => `<th>${variant.type}</th>`).join("")}</tr>
+                ${locations}
+              </table>`
+            : `<p>Not found in the wild${pokemon.previousForms.length > 0 ? ", evolve it from an earlier form" : ""}.</p>`}
+    `;
+};
+
+/**
+ * Builds the quantity table of the detail drawer with the owned, reserved and
+ * tradeable copies of each variant.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @param {Array} variants - Its variants in display order.
+ * @returns {string} - The HTML of the table.
+ */
+const renderDetailQuantities = (pokemon, variants) => {
+    const stepper = (variant, key) => `
+        <button onclick="changeQuantity(${pokemon.id}, '${variant.type}', '${key}', -1)">−</button>
+        ${getVariantState(variant)[key]}
+        <button onclick="changeQuantity(${pokemon.id}, '${variant.type}', '${key}', 1)">+</button>
+    `;
+    const rows = variants.map((variant) => `
+        <tr>
+            <td>${variant.type}</td>
+            <td>${stepper(variant, "owned")}</td>
+            <td>${stepper(variant, "reserved")}</td>
+            <td>${getTradeableCount(variant)}</td>
+        </tr>
+    `).join("");
+    return `<table class="ranking-table quantity-table"><tr><th></th><th>Owned</th><th>Reserved</th><th>Tradeable</th></tr>${rows}</table>`;
+};
+
+/**
+ * Opens the detail drawer for a Pokémon.
+ *
+ * @param {number} id - The id of the Pokémon.
+ */
+const openPokemonDetail = (id) => {
+    detailPokemonId = id;
+    showPanel(detailDrawer);
+    renderPokemonDetail();
+};
+
+/**
+ * Starts a long-press on a Pokémon card, which opens its details instead of
+ * toggling it.
+ *
+ * @param {TouchEvent} e - The touch event on the Pokédex.
+ */
+const startLongPress = (e) => {
+    const card = e.target.closest(".pokemon-card[data-id]");
+    if (!card) return;
+
+    longPressFired = false;
+    longPressTimer = setTimeout(() => {
+        longPressFired = true;
+        openPokemonDetail(parseInt(card.dataset.id));
+    }, LONG_PRESS_DELAY);
+};
+
+/**
+ * Cancels a long-press that has not fired yet.
+ */
+const cancelLongPress = () => {
+    clearTimeout(longPressTimer);
+};
+
+// Wishlist -------------------------------------------------------------
+/**
+ * Returns the empty wishlist of a new profile.
+ *
+ * @returns {Object} - The wishlist as { targetMode, entries, rules }.
+ */
+const createWishlist = () => {
+    return { targetMode: false, entries: [], rules: [] };
+};
 
-    // Calculate area probability if all filters are active and there are Pokémon to display
-    if (activeFilters.location && activeFilters.time && activeFilters.type && variantFilteredList.length > 0) {
-        areaProbability(variantFilteredList);
+/**
+ * Checks whether a variant is on the wishlist, either as an entry or through a rule.
+ * A rule without a variant or rarity matches any.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @param {string} variantType - The variant type.
+ * @returns {boolean} - True if the variant is wanted.
+ */
+const isWishlisted = (pokemon, variantType) => {
+    return wishlist.entries.some((entry) => entry.id === pokemon.id && entry.variant === variantType) ||
+        wishlist.rules.some((rule) =>
+            (!rule.variant || rule.variant === variantType) && (!rule.rarity || rule.rarity === pokemon.rarity)
+        );
+};
+
+/**
+ * Checks whether a variant counts towards route chances and recommendations. Outside
+ * target mode every variant counts, in target mode only wishlisted ones do. Variants
+ * that can be evolved from an owned previous form never count.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @param {string} variantType - The variant type.
+ * @returns {boolean} - True if the variant is hunted.
+ */
+const isHuntTarget = (pokemon, variantType) => {
+    return (!wishlist.targetMode || isWishlisted(pokemon, variantType)) && !isEvolvable(pokemon, variantType);
+};
+
+/**
+ * Saves the wishlist and, in target mode, updates the route chances.
+ */
+const saveWishlist = () => {
+    saveProgress();
+    if (wishlist.targetMode) refreshProgressDisplay();
+    renderWishlistPanel();
+};
+
+/**
+ * Switches target mode on or off.
+ */
+const toggleTargetMode = () => {
+    wishlist.targetMode = !wishlist.targetMode;
+    saveProgress();
+    refreshProgressDisplay();
+    renderWishlistPanel();
+};
+
+/**
+ * Adds the Pokémon and variant entered in the wishlist panel.
+ */
+const addWishlistEntry = () => {
+    const name = wishlistPokemon.value.trim().toLowerCase();
+    const pokemon = pokemonList.find((p) => p.name.toLowerCase() === name);
+    if (!pokemon) {
+        alert("No Pokémon found with that name.");
+        return;
+    }
+
+    const variantType = wishlistVariant.value;
+    if (!pokemon.variants.some((variant) => variant.type === variantType)) {
+        alert(`${pokemon.name} has no ${variantType} variant.`);
+        return;
+    }
+    if (wishlist.entries.some((entry) => entry.id === pokemon.id && entry.variant === variantType)) return;
+
+    wishlist.entries.push({ id: pokemon.id, variant: variantType });
+    wishlistPokemon.value = "";
+    saveWishlist();
+};
+
+/**
+ * Adds the variant and rarity rule entered in the wishlist panel. A rule with any
+ * variant and any rarity would wish for everything, so it is refused.
+ */
+const addWishlistRule = () => {
+    const rule = { variant: wishlistRuleVariant.value, rarity: wishlistRuleRarity.value };
+    if (!rule.variant && !rule.rarity) {
+        alert("Pick a variant or a rarity for the rule. A rule for any variant of any rarity would wish for every Pokémon.");
+        return;
+    }
+    if (wishlist.rules.some((r) => r.variant === rule.variant && r.rarity === rule.rarity)) return;
+
+    wishlist.rules.push(rule);
+    saveWishlist();
+};
+
+/**
+ * Removes an entry or rule from the wishlist.
+ *
+ * @param {string} list - "entries" or "rules".
+ * @param {number} index - The index in the list.
+ */
+const removeWishlistItem = (list, index) => {
+    wishlist[list].splice(index, 1);
+    saveWishlist();
+};
+
+/**
+ * Finds the area where each wishlisted variant is most likely to be encountered.
+ *
+ * @returns {Map} - The best area as { location, type, time, probability }, keyed by "id|variant".
+ */
+const getWishlistLocations = () => {
+    const best = new Map();
+
+    areasArray.filter((area) => area.name !== "Roaming").forEach((area) => {
+        Object.keys(area.types).forEach((type) => {
+            Object.keys(area.types[type]).forEach((time) => {
+                const filters = { location: area.name, type, time };
+                const areaPokemon = pokemonList.filter((pokemon) => tripleFilter(pokemon, filters));
+                getVariantProbabilities(areaPokemon, filters).forEach(({ pokemon, variant, probability }) => {
+                    if (!isWishlisted(pokemon, variant.type)) return;
+
+                    const key = `${pokemon.id}|${variant.type}`;
+                    if (!best.has(key) || probability > best.get(key).probability) {
+                        best.set(key, { ...filters, probability });
+                    }
+                });
+            });
+        });
+    });
+    return best;
+};
+
+/**
+ * Renders the wishlist panel: the entries and rules, and every wishlisted variant
+ * with its caught status and best location. Clicking a location applies its filters.
+ */
+const renderWishlistPanel = () => {
+    targetModeButton.textContent = `Target Mode: ${wishlist.targetMode ? "On" : "Off"}`;
+
+    wishlistEntries.innerHTML = wishlist.entries.map((entry, index) => {
+        const pokemon = pokemonList.find((p) => p.id === entry.id);
+        return `<li>${entry.variant} ${pokemon ? pokemon.name : `#${entry.id}`} <button onclick="removeWishlistItem('entries', ${index})">Remove</button></li>`;
+    }).join("");
+    wishlistRules.innerHTML = wishlist.rules.map((rule, index) =>
+        `<li>All ${rule.variant || "variants of"} ${rule.rarity || "any rarity"} <button onclick="removeWishlistItem('rules', ${index})">Remove</button></li>`
+    ).join("");
+
+    const targets = pokemonList.flatMap((pokemon) =>
+        pokemon.variants.filter((variant) => isWishlisted(pokemon, variant.type)).map((variant) => ({ pokemon, variant }))
+    );
+    const locations = getWishlistLocations();
+    wishlistLocationRows = [];
+
+    const rows = targets.map(({ pokemon, variant }) => {
+        let where = "—";
+        if (!variant.caught) {
+            const best = locations.get(`${pokemon.id}|${variant.type}`);
+            if (best) {
+                wishlistLocationRows.push(best);
+                where = `<a href="#" data-index="${wishlistLocationRows.length - 1}">${best.location} · ${best.type} · ${best.time}</a> (1 in ${Math.round(1 / best.probability).toLocaleString()})`;
+            } else {
+                where = pokemon.previousForms.length > 0 ? "Evolve only" : "Not found in the wild";
+            }
+        }
+        return `
+            <tr class="${variant.caught ? "caught" : ""}">
+                <td>${variant.type} ${pokemon.name}</td>
+                <td>${pokemon.rarity}</td>
+                <td>${variant.caught ? "Caught" : "Wanted"}</td>
+                <td>${where}</td>
+            </tr>
+        `;
+    }).join("");
+
+    const remaining = targets.filter(({ variant }) => !variant.caught).length;
+    wishlistSummary.textContent = `${targets.length - remaining} of ${targets.length} targets caught.`;
+    wishlistTable.innerHTML = targets.length > 0
+        ? `<tr><th>Target</th><th>Rarity</th><th>Status</th><th>Best Location</th></tr>${rows}`
+        : "";
+};
+
+/**
+ * Opens the wishlist view.
+ */
+const openWishlistPanel = () => {
+    wishlistPokemonOptions.innerHTML = [...new Set(pokemonList.map((pokemon) => pokemon.name))]
+        .sort((a, b) => a.localeCompare(b))
+        .map((name) => `<option value="${name}"></option>`)
+        .join("");
+    wishlistVariant.innerHTML = VARIANT_ORDER.map((variantType) => `<option value="${variantType}">${variantType}</option>`).join("");
+    wishlistRuleVariant.innerHTML = `<option value="">Any variant</option>` +
+        VARIANT_ORDER.map((variantType) => `<option value="${variantType}">${variantType}</option>`).join("");
+    wishlistRuleRarity.innerHTML = `<option value="">Any rarity</option>` +
+        RARITY_ORDER.map((rarity) => `<option value="${rarity}">${rarity}</option>`).join("");
+    renderWishlistPanel();
+    showPanel(wishlistPanel);
+};
+
+// Spreadsheet Export and Import -------------------------------------------------------------
+const CSV_COLUMNS = ["id", "name", "rarity", "variant", "caught", "owned", "reserved", "locations"];
+const CSV_UNMATCHED_LIMIT = 50;
+let csvImport = null;
+
+/**
+ * Offers a text file for download.
+ *
+ * @param {string} filename - The name of the file.
+ * @param {string} content - The content of the file.
+ * @param {string} type - The MIME type of the file.
+ */
+const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Returns the file name for a download from the active profile, e.g. "pokedex-Main-2024-05-01.csv".
+ *
+ * @param {string} extension - The file extension.
+ * @returns {string} - The file name.
+ */
+const getExportFilename = (extension) => {
+    const profile = profiles.profiles.find((p) => p.id === profiles.active);
+    return `pokedex-${profile.name.replace(/[^\w-]+/g, "_")}-${toDateKey(Date.now())}.${extension}`;
+};
+
+/**
+ * Quotes a CSV field when it contains a comma, quote or line break.
+ *
+ * @param {*} value - The value of the field.
+ * @returns {string} - The CSV field.
+ */
+const toCsvField = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Downloads the dex as CSV with one row per Pokémon and variant.
+ */
+const exportCsv = () => {
+    const rows = pokemonList.flatMap((pokemon) => pokemon.variants.map((variant) => {
+        const { caught, owned, reserved } = getVariantState(variant);
+        const locations = pokemon.locations.map((location) => `${location.place} ${location.time} ${location.type}`).join("; ");
+        return [pokemon.id, pokemon.name, pokemon.rarity, variant.type, caught, owned, reserved, locations];
+    }));
+    const csv = [CSV_COLUMNS, ...rows].map((row) => row.map(toCsvField).join(",")).join("\r\n");
+    downloadFile(getExportFilename("csv"), csv, "text/csv");
+};
+
+/**
+ * Downloads the dex as plain JSON with each Pokémon's rarity, locations and variants.
+ */
+const exportJson = () => {
+    const data = pokemonList.map((pokemon) => ({
+        id: pokemon.id,
+        name: pokemon.name,
+        rarity: pokemon.rarity,
+        locations: pokemon.locations,
+        variants: pokemon.variants.map((variant) => ({ variant: variant.type, ...getVariantState(variant) }))
+    }));
+    downloadFile(getExportFilename("json"), JSON.stringify(data, null, 2), "application/json");
+};
+
+/**
+ * Parses CSV text into rows of fields, handling quoted fields with commas, quotes
+ * and line breaks.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {Array} - The rows, each an array of fields. Empty lines are left out.
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Reads a true/false style spreadsheet value.
+ *
+ * @param {string} value - The value, e.g. "TRUE", "yes", "1", "x" or "✓".
+ * @returns {boolean} - True if the value means caught.
+ */
+const parseCaughtValue = (value) => {
+    return ["true", "yes", "y", "1", "x", "✓", "✔", "caught"].includes(value.trim().toLowerCase());
+};
+
+/**
+ * Reads an uploaded CSV file and opens the column mapping step.
+ *
+ * @param {File} file - The uploaded file.
+ */
+const readCsvFile = async (file) => {
+    let rows;
+    try {
+        rows = parseCsv(await file.text());
+    } catch (error) {
+        console.error("Error reading CSV file:", error);
+        alert("The file could not be read. See console for details.");
+        return;
+    } finally {
+        csvFileInput.value = "";
+    }
+    if (rows.length < 2) {
+        alert("The file has no rows to import.");
+        return;
+    }
+
+    csvImport = { header: rows[0], rows: rows.slice(1) };
+
+    // Guess the columns from the header names
+    const guess = (names) => rows[0].findIndex((title) => names.includes(title.trim().toLowerCase()));
+    const fillColumns = (select, emptyLabel) => {
+        select.innerHTML = (emptyLabel ? `<option value="">${emptyLabel}</option>` : "") + rows[0].map((title, index) =>
+            `<option value="${index}">${title ? escapeHtml(title) : `Column ${index + 1}`}</option>`
+        ).join("");
+    };
+    fillColumns(csvPokemonColumn, null);
+    fillColumns(csvVariantColumn, "None, all rows are");
+    fillColumns(csvCaughtColumn, "None, every row is caught");
+    fillColumns(csvOwnedColumn, "None, keep my copies");
+    fillColumns(csvReservedColumn, "None, keep my reserved copies");
+    csvFixedVariant.innerHTML = VARIANT_ORDER.map((variantType) => `<option value="${variantType}">${variantType}</option>`).join("");
+
+    const pokemonColumn = guess(["name", "pokemon", "pokémon", "species", "id", "#"]);
+    csvPokemonColumn.value = pokemonColumn === -1 ? 0 : pokemonColumn;
+    const variantColumn = guess(["variant", "type", "form"]);
+    csvVariantColumn.value = variantColumn === -1 ? "" : variantColumn;
+    const caughtColumn = guess(["caught", "have", "done", "status"]);
+    csvCaughtColumn.value = caughtColumn === -1 ? "" : caughtColumn;
+    const ownedColumn = guess(["owned", "copies", "count", "quantity"]);
+    csvOwnedColumn.value = ownedColumn === -1 ? "" : ownedColumn;
+    const reservedColumn = guess(["reserved"]);
+    csvReservedColumn.value = reservedColumn === -1 ? "" : reservedColumn;
+
+    showPanel(csvPanel);
+    renderCsvPreview();
+};
+
+/**
+ * Matches the rows of the uploaded CSV against pokemonList with the selected column
+ * mapping. The Pokémon column can hold ids or names, and the owned and reserved
+ * columns (as in a CSV downloaded from this tool) set the quantities.
+ *
+ * @returns {Object} - { changes, unmatched } where unmatched lists the rows that could not be matched with the reason.
+ */
+const matchCsvRows = () => {
+    const pokemonColumn = parseInt(csvPokemonColumn.value);
+    const variantColumn = csvVariantColumn.value === "" ? null : parseInt(csvVariantColumn.value);
+    const caughtColumn = csvCaughtColumn.value === "" ? null : parseInt(csvCaughtColumn.value);
+    const ownedColumn = csvOwnedColumn.value === "" ? null : parseInt(csvOwnedColumn.value);
+    const reservedColumn = csvReservedColumn.value === "" ? null : parseInt(csvReservedColumn.value);
+    // Quantities are whole numbers of copies; blank or other cells leave the count unchanged
+    const readCount = (column, row) => {
+        const cell = column === null ? "" : (row[column] || "").trim();
+        return /^\d+$/.test(cell) ? parseInt(cell) : null;
+    };
+    const pokemonByName = new Map(pokemonList.map((pokemon) => [normaliseSearchText(pokemon.name), pokemon]));
+    const changes = [];
+    const unmatched = [];
+
+    csvImport.rows.forEach((row, index) => {
+        const value = (row[pokemonColumn] || "").trim();
+        const pokemon = /^\d+$/.test(value)
+            ? pokemonList.find((p) => p.id === parseInt(value))
+            : pokemonByName.get(normaliseSearchText(value));
+        const variantValue = variantColumn === null ? csvFixedVariant.value : (row[variantColumn] || "").trim();
+        const variantType = VARIANT_ORDER.find((type) => type.toLowerCase() === variantValue.toLowerCase());
+
+        const reason = !pokemon ? `unknown Pokémon "${value}"`
+            : !variantType ? `unknown variant "${variantValue}"`
+            : !pokemon.variants.some((variant) => variant.type === variantType) ? `${pokemon.name} has no ${variantType} variant`
+            : null;
+        if (reason) {
+            // Row numbers count the header as row 1, like a spreadsheet
+            unmatched.push({ row: index + 2, reason });
+            return;
+        }
+
+        const caught = caughtColumn === null ? true : parseCaughtValue(row[caughtColumn] || "");
+        const to = { caught };
+        const owned = readCount(ownedColumn, row);
+        const reserved = readCount(reservedColumn, row);
+        if (owned !== null) to.owned = owned;
+        if (reserved !== null) {
+            const variant = pokemon.variants.find((v) => v.type === variantType);
+            to.reserved = Math.min(reserved, owned !== null ? owned : getVariantState(variant).owned);
+        } else if (owned !== null) {
+            const variant = pokemon.variants.find((v) => v.type === variantType);
+            if (getVariantState(variant).reserved > owned) to.reserved = owned;
+        }
+        changes.push({ id: pokemon.id, variant: variantType, to });
+    });
+
+    return { changes, unmatched };
+};
+
+/**
+ * Shows how many rows match with the selected column mapping and lists the rows
+ * that do not.
+ */
+const renderCsvPreview = () => {
+    csvFixedVariant.style.display = csvVariantColumn.value === "" ? "inline-block" : "none";
+    const { changes, unmatched } = matchCsvRows();
+    const caught = changes.filter((change) => change.to.caught).length;
+
+    csvSummary.textContent = `${csvImport.rows.length} rows: ${changes.length} matched (${caught} caught, ${changes.length - caught} not caught), ${unmatched.length} unmatched.`;
+    const lines = unmatched.slice(0, CSV_UNMATCHED_LIMIT).map(({ row, reason }) => `Row ${row}: ${reason}`);
+    if (unmatched.length > CSV_UNMATCHED_LIMIT) lines.push(`…and ${unmatched.length - CSV_UNMATCHED_LIMIT} more`);
+
+    csvUnmatched.innerHTML = lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("");
+};
+
+/**
+ * Applies the matched rows of the uploaded CSV as a single undoable change, after
+ * taking a restore point.
+ */
+const applyCsvImport = () => {
+    const { changes } = matchCsvRows();
+    csvImport = null;
+    closePanels();
+
+    createBackup("Before import");
+    commitChanges("CSV Import", changes, "import");
+};
+
+// Share Links -------------------------------------------------------------
+const SHARE_CODE_VERSION = 1;
+const SHARE_HASH_PREFIX = "#share=";
+let pendingShare = null;
+
+/**
+ * Encodes the caught variants as a share code: one bit per Pokémon id and variant
+ * (in VARIANT_ORDER), after a version byte and the highest id, deflated and written
+ * in URL-safe base64. This is far shorter than an export code, but holds only the
+ * caught flags.
+ *
+ * @returns {string} - The share code.
+ */
+const encodeShareCode = () => {
+    const maxId = Math.max(...pokemonList.map((pokemon) => pokemon.id));
+    const bytes = new Uint8Array(3 + Math.ceil(maxId * VARIANT_ORDER.length / 8));
+    bytes[0] = SHARE_CODE_VERSION;
+    bytes[1] = maxId >> 8;
+    bytes[2] = maxId & 0xff;
+
+    pokemonList.forEach((pokemon) => {
+        pokemon.variants.forEach((variant) => {
+            const index = VARIANT_ORDER.indexOf(variant.type);
+            if (!variant.caught || index === -1) return;
+            const bit = (pokemon.id - 1) * VARIANT_ORDER.length + index;
+            bytes[3 + (bit >> 3)] |= 0x80 >> (bit & 7);
+        });
+    });
+
+    const compressed = pako.deflateRaw(bytes);
+    return btoa(String.fromCharCode.apply(null, compressed)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+/**
+ * Decodes a share code written by encodeShareCode() into the same shape as
+ * decodeExportCode(), so it can be previewed and merged like an export code.
+ *
+ * @param {string} code - The share code.
+ * @returns {Object} - The data as { pokemonList, model, changed, meta, shared }.
+ * @throws {Error} - If the code is not a valid share code.
+ */
+const decodeShareCode = (code) => {
+    const binary = atob(code.trim().replace(/-/g, "+").replace(/_/g, "/"));
+    const compressed = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        compressed[i] = binary.charCodeAt(i);
+    }
+    const bytes = pako.inflateRaw(compressed);
+    if (!bytes || bytes.length < 3) throw new Error("Invalid share code");
+
+    if (bytes[0] > SHARE_CODE_VERSION) {
+        throw new Error(`Share code version ${bytes[0]} is newer than this version of the tool supports.`);
+    }
+    const maxId = (bytes[1] << 8) | bytes[2];
+    if (bytes[0] < 1 || bytes.length !== 3 + Math.ceil(maxId * VARIANT_ORDER.length / 8)) {
+        throw new Error("Invalid share code");
+    }
+
+    const sharedList = [];
+    for (let id = 1; id <= maxId; id++) {
+        const variants = VARIANT_ORDER.filter((_, index) => {
+            const bit = (id - 1) * VARIANT_ORDER.length + index;
+            return (bytes[3 + (bit >> 3)] & (0x80 >> (bit & 7))) !== 0;
+        }).map((variantType) => ({ type: variantType, caught: true }));
+        if (variants.length > 0) sharedList.push({ id, variants });
+    }
+
+    return { pokemonList: sharedList, model: null, changed: {}, meta: null, shared: true };
+};
+
+/**
+ * Returns the share link of the active profile's progress.
+ *
+ * @returns {string} - The link to this page with the share code in the fragment.
+ */
+const getShareLink = () => {
+    return `${location.origin}${location.pathname}${SHARE_HASH_PREFIX}${encodeShareCode()}`;
+};
+
+/**
+ * Draws a QR code as an SVG with a four module quiet zone.
+ *
+ * @param {Array} modules - The rows of modules from createQrCode().
+ * @returns {string} - The SVG markup.
+ */
+const renderQrSvg = (modules) => {
+    const size = modules.length + 8;
+    const path = modules.flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + 4} ${y + 4}h1v1h-1z` : ""))).join("");
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+};
+
+/**
+ * Opens the share view with the share link of the active profile and its QR code.
+ */
+const openSharePanel = () => {
+    const link = getShareLink();
+    shareLinkInput.value = link;
+    try {
+        shareQrCode.innerHTML = renderQrSvg(createQrCode(link, "L"));
+    } catch (error) {
+        console.error("Error creating QR code:", error);
+        shareQrCode.textContent = "Too much progress to fit in a QR code. Use the link instead.";
+    }
+    shareSize.textContent = `${link.length} characters`;
+    showPanel(sharePanel);
+};
+
+/**
+ * Copies the share link to the clipboard.
+ */
+const copyShareLink = () => {
+    shareLinkInput.select();
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(shareLinkInput.value).catch((error) => console.error("Error copying share link:", error));
     } else {
-        document.getElementById("routeProbability").style.display = "none";
-        document.getElementById("routeCompletion").style.display = "none";
+        document.execCommand("copy");
     }
+};
 
-    // Update the display with the filtered Pokémon list
-    displayPokemon(variantFilteredList);
+/**
+ * Checks the URL for a share link. If there is one, removes it from the address bar
+ * (so a reload does not offer it again) and asks which profile to import it into.
+ */
+const checkShareLink = () => {
+    if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+    const code = location.hash.slice(SHARE_HASH_PREFIX.length);
+    history.replaceState(null, "", location.pathname + location.search);
+
+    try {
+        pendingShare = decodeShareCode(code);
+    } catch (error) {
+        console.error("Error reading share link:", error);
+        showNotice("This share link is invalid or incomplete.");
+        return;
+    }
+
+    const caught = pendingShare.pokemonList.reduce((sum, pokemon) => sum + pokemon.variants.length, 0);
+    shareImportSummary.textContent = `This link shares ${caught} caught variants.`;
+    shareProfileSelect.innerHTML = profiles.profiles.map((profile) =>
+        `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`
+    ).join("") + `<option value="">New profile…</option>`;
+    shareProfileSelect.value = profiles.active;
+    showPanel(shareImportPanel);
+};
+
+/**
+ * Switches to the profile chosen for a share link, creating it if needed, and
+ * opens the import preview for the link there.
+ */
+const continueShareImport = () => {
+    if (!pendingShare) return;
+
+    const profileId = shareProfileSelect.value || addProfile();
+    if (!profileId) return;
+    if (profileId !== profiles.active) switchProfile(profileId);
+
+    pendingImport = pendingShare;
+    pendingShare = null;
+    importStrategy.value = "union";
+    showPanel(importPanel);
+    renderImportPreview();
+};
+
+// Paste Templates -------------------------------------------------------------
+const VARIANT_SHORT_NAMES = { Normal: "N", Shiny: "S", Dark: "D", Mystic: "My", Metallic: "Me", Shadow: "Sh" };
+const PASTE_SOURCES = {
+    evolve: "Pokémon you can evolve",
+    haves: "Spare copies (or caught variants when quantities are not tracked)",
+    needs: "Variants you still need",
+    route: "Variants missing on the selected route"
+};
+const DEFAULT_PASTE_TEMPLATES = [
+    { id: "evolve", name: "Evolve List", text: "{evolve}", line: "{variant} {name}", group: "", groupHeader: "", separator: "\n", maxLength: 0 },
+    { id: "haves-needs", name: "Haves / Needs (Discord)", text: "**Haves**\n{haves}\n\n**Needs**\n{needs}", line: "- {variant} {name}", group: "", groupHeader: "", separator: "\n", maxLength: 0 },
+    { id: "by-variant", name: "Needs by Variant", text: "{needs}", line: "{name}", group: "variant", groupHeader: "**{group}**: ", separator: ", ", maxLength: 0 },
+    { id: "by-route", name: "Needs by Route", text: "{needs}", line: "- {variant} {name} ({rarity})", group: "route", groupHeader: "**{group}**\n", separator: "\n", maxLength: 0 },
+    { id: "route", name: "Missing on This Route", text: "Missing on {location}:\n{route}", line: "{variant} {name} ({rarity})", group: "", groupHeader: "", separator: "\n", maxLength: 0 },
+    { id: "compact", name: "Compact (Chat)", text: "H: {haves}\nN: {needs}", line: "{v} {name}", group: "", groupHeader: "", separator: ", ", maxLength: 2000 }
+];
+
+/**
+ * Returns a paste template by id, falling back to the evolve list.
+ *
+ * @param {string} id - The id of a default or custom template.
+ * @returns {Object} - The template.
+ */
+const getPasteTemplate = (id) => {
+    return [...DEFAULT_PASTE_TEMPLATES, ...appSettings.pasteTemplates].find((template) => template.id === id) || DEFAULT_PASTE_TEMPLATES[0];
+};
+
+/**
+ * Describes the selected route from the active filters, e.g. "Route 5 Day Land".
+ *
+ * @returns {string} - The description.
+ */
+const describeActiveFilters = () => {
+    const parts = [activeFilters.location, activeFilters.time, activeFilters.type, activeFilters.variant].filter(Boolean);
+    return parts.length > 0 ? parts.join(" ") : "no route selected";
+};
+
+/**
+ * Returns the entries of a paste list source.
+ *
+ * @param {string} source - A key of PASTE_SOURCES.
+ * @returns {Array} - The entries as { pokemon, variant, count }.
+ */
+const getPasteEntries = (source) => {
+    if (source === "evolve") {
+        return getPasteEvolveEntries().map((entry) => ({ ...entry, count: 1 }));
+    }
+
+    if (source === "haves") {
+        return sortVariantEntries(pokemonList.flatMap((pokemon) => pokemon.variants
+            .map((variant) => ({ pokemon, variant, count: appSettings.trackQuantities ? getTradeableCount(variant) : Number(variant.caught) }))
+            .filter(({ count }) => count > 0)));
+    }
+
+    // The route list follows the Pokédex view, so nothing is missing until a filter is chosen
+    const noFilters = !activeFilters.location && !activeFilters.time && !activeFilters.type && !activeFilters.variant;
+    if (source === "route" && noFilters) return [];
+    const candidates = source === "route" ? getDisplayList(getFilteredLines()) : pokemonList;
+    return sortVariantEntries(candidates.flatMap((pokemon) => pokemon.variants
+        .filter((variant) => !variant.caught && isHuntTarget(pokemon, variant.type))
+        .filter((variant) => source !== "route" || !activeFilters.variant || variant.type === activeFilters.variant)
+        .map((variant) => ({ pokemon, variant, count: 1 }))));
+};
+
+/**
+ * Fills the placeholders of a line with an entry: {name}, {variant}, {v} (short
+ * variant), {rarity}, {location} and {count}.
+ *
+ * @param {string} format - The line format.
+ * @param {Object} entry - The entry as { pokemon, variant, count, location }.
+ * @returns {string} - The line.
+ */
+const formatPasteLine = (format, entry) => {
+    const values = {
+        name: entry.pokemon.name,
+        variant: entry.variant.type,
+        v: VARIANT_SHORT_NAMES[entry.variant.type] || entry.variant.type,
+        rarity: entry.pokemon.rarity,
+        location: entry.location || entry.pokemon.locations.map((location) => `${location.place} ${location.time} ${location.type}`).join(", "),
+        count: entry.count
+    };
+    return format.replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder));
+};
+
+/**
+ * Renders a list source with a template's line format and grouping. Grouped by route,
+ * an entry is listed under every location it is found at.
+ *
+ * @param {Object} template - The template.
+ * @param {string} source - A key of PASTE_SOURCES.
+ * @returns {string} - The list, or "None" when it is empty. An empty evolve list stays
+ * empty, as the plain evolve export always was.
+ */
+const renderPasteList = (template, source) => {
+    const entries = getPasteEntries(source);
+    if (entries.length === 0) return source === "evolve" ? "" : "None";
+    if (!template.group) return entries.map((entry) => formatPasteLine(template.line, entry)).join(template.separator);
+
+    const groups = new Map();
+    entries.forEach((entry) => {
+        const keys = template.group === "variant"
+            ? [entry.variant.type]
+            : entry.pokemon.locations.map((location) => `${location.place} ${location.time} ${location.type}`);
+        keys.forEach((key) => {
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(template.group === "route" ? { ...entry, location: key } : entry);
+        });
+    });
+
+    const keys = [...groups.keys()];
+    if (template.group === "route") keys.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    return keys.map((key) =>
+        template.groupHeader.replace(/\{group\}/g, key) + groups.get(key).map((entry) => formatPasteLine(template.line, entry)).join(template.separator)
+    ).join(template.separator === "\n" ? "\n\n" : "\n");
+};
 
-    // Update variant group display based on the caught status
-    document.querySelectorAll(".variant-group").forEach(group => {
-        const allCards = group.querySelectorAll(".pokemon-card");
-        const allCaught = Array.from(allCards).every(card => card.classList.contains("caught"));
-        group.style.display = (allCaught && !showCaught) ? "none" : "block";
+/**
+ * Cuts text to a length at the last whole entry that fits and marks the cut with "…".
+ *
+ * @param {string} text - The text.
+ * @param {number} limit - The maximum length.
+ * @param {string} separator - The separator between entries.
+ * @returns {string} - The text, unchanged when it fits.
+ */
+const clipPasteText = (text, limit, separator) => {
+    if (text.length <= limit) return text;
+    const suffix = " …";
+    const cut = text.slice(0, Math.max(0, limit - suffix.length));
+    const lastBreak = Math.max(cut.lastIndexOf(separator), cut.lastIndexOf("\n"));
+    return (lastBreak > 0 ? cut.slice(0, lastBreak) : cut) + suffix;
+};
+
+/**
+ * Renders a paste template: the list placeholders ({evolve}, {haves}, {needs} and
+ * {route}) become lists and {location} and {profile} describe the selected route and
+ * profile. When the output is longer than the template's length limit, the lists
+ * share the room that is left and are each cut at the last whole entry that fits.
+ *
+ * @param {Object} template - The template.
+ * @returns {string} - The text.
+ */
+const renderPasteTemplate = (template) => {
+    const values = {
+        location: describeActiveFilters(),
+        profile: profiles.profiles.find((p) => p.id === profiles.active).name
+    };
+    const lists = {};
+    const fill = (listLength) => template.text.replace(/\{(\w+)\}/g, (placeholder, key) => {
+        if (key in PASTE_SOURCES) {
+            if (!(key in lists)) lists[key] = renderPasteList(template, key);
+            return clipPasteText(lists[key], listLength, template.separator);
+        }
+        return key in values ? values[key] : placeholder;
     });
 
-    // Hide all caught Pokémon cards if the showCaught flag is false
-    if (!showCaught) {
-        document.querySelectorAll(".pokemon-card.caught").forEach(card => {
-            card.style.display = "none";
-        });
-    }
+    const text = fill(Infinity);
+    const limit = template.maxLength;
+    if (!limit || text.length <= limit) return text;
+
+    // Share what the rest of the template leaves between the lists
+    const listCount = (template.text.match(/\{(\w+)\}/g) || []).filter((placeholder) => placeholder.slice(1, -1) in PASTE_SOURCES).length;
+    if (listCount === 0) return clipPasteText(text, limit, template.separator);
+    const fixedLength = fill(0).length - listCount * " …".length;
+    return clipPasteText(fill(Math.floor((limit - fixedLength) / listCount)), limit, template.separator);
 };
 
 /**
- * Returns a filtered list of Pokémon Base Forms based on active filters.
- * @returns {Array} - A list of Pokémon Base Forms that match all active filters.
+ * Fills the template editor with a template.
+ *
+ * @param {Object} template - The template.
  */
-const getFilteredLines = () => {
-    const baseForms = pokemonList.filter(pokemon => pokemon.previousForms.length === 0);
+const loadPasteTemplateEditor = (template) => {
+    pasteTemplateSelect.value = template.id;
+    pasteTemplateName.value = template.name;
+    pasteTemplateText.value = template.text;
+    pasteTemplateLine.value = template.line;
+    pasteTemplateGroup.value = template.group;
+    pasteTemplateGroupHeader.value = template.groupHeader;
+    pasteTemplateSeparator.value = template.separator;
+    pasteTemplateMaxLength.value = template.maxLength || "";
+    deletePasteTemplateButton.disabled = DEFAULT_PASTE_TEMPLATES.some((defaultTemplate) => defaultTemplate.id === template.id);
+    renderPastePreview();
+};
 
-    // Filter the base forms by applying the tripleFilter function to each Pokémon
-    return baseForms.filter(tripleFilter);
+/**
+ * Reads the template in the editor.
+ *
+ * @returns {Object} - The template without an id.
+ */
+const readPasteTemplateEditor = () => {
+    return {
+        name: pasteTemplateName.value.trim() || "Custom Template",
+        text: pasteTemplateText.value,
+        line: pasteTemplateLine.value,
+        group: pasteTemplateGroup.value,
+        groupHeader: pasteTemplateGroupHeader.value,
+        separator: pasteTemplateSeparator.value,
+        maxLength: Math.max(0, parseInt(pasteTemplateMaxLength.value) || 0)
+    };
 };
 
 /**
- * Returns a list of Pokémon that match the active filters, including all evolutions.
- * This function takes a list of Pokémon base forms and returns a list of all Pokémon,
- * including evolutions, that match the active filters.
- * @param {Array} filteredLines - A list of Pokémon base forms that match the active filters.
- * @returns {Array} - A list of all Pokémon that match the active filters, including evolutions.
+ * Shows the output of the template in the editor.
  */
-const getDisplayList = (filteredLines) => {
-    return filteredLines.flatMap((pokemon) => {
-        const stages = [pokemon];
-        let base = pokemon;
+const renderPastePreview = () => {
+    pastePreview.value = renderPasteTemplate(readPasteTemplateEditor());
+    pastePreviewLength.textContent = `${pastePreview.value.length} characters`;
+};
 
-        // Find all evolutions of the current Pokémon
-        let evoChains = pokemonList.filter((p) => p.previousForms.includes(base.id));
+/**
+ * Fills the template dropdown with the default and custom templates.
+ */
+const populatePasteTemplateSelect = () => {
+    const renderGroup = (label, templates) => templates.length === 0 ? "" : `
+        <optgroup label="${label}">
+            ${templates.map((template) => `<option value="${escapeHtml(template.id)}">${escapeHtml(template.name)}</option>`).join("")}
+        </optgroup>
+    `;
+    pasteTemplateSelect.innerHTML = renderGroup("Default", DEFAULT_PASTE_TEMPLATES) + renderGroup("Custom", appSettings.pasteTemplates);
+};
 
-        // Add each evolution to the stages list
-        evoChains.forEach((pokemon) => stages.push(pokemon));
-        return stages;
-    });
+/**
+ * Selects a template for Paste mode and loads it into the editor.
+ */
+const selectPasteTemplate = () => {
+    appSettings.pasteTemplate = pasteTemplateSelect.value;
+    saveAppSettings();
+    loadPasteTemplateEditor(getPasteTemplate(appSettings.pasteTemplate));
 };
 
 /**
- * Returns an array of evolution lines for the given list of Pokémon.
- * An evolution line is a list of Pokémon that are in the same evolution chain.
- * @param {Array} pokemonList - The list of Pokémon to generate evolution lines for.
- * @returns {Array} - An array of evolution lines, where each line is a list of Pokémon.
+ * Saves the template in the editor. Custom templates are updated in place, while
+ * changes to a default template are saved as a new custom template.
  */
-const getEvolutionRows = (pokemonList, variantType) => {
-    const baseForms = pokemonList.filter((pokemon) => pokemon.previousForms.length === 0);
+const savePasteTemplate = () => {
+    const template = readPasteTemplateEditor();
+    const existing = appSettings.pasteTemplates.find((custom) => custom.id === pasteTemplateSelect.value);
+    if (existing) {
+        Object.assign(existing, template);
+    } else {
+        const id = generateProfileId();
+        appSettings.pasteTemplates.push({ id, ...template });
+        appSettings.pasteTemplate = id;
+    }
+    saveAppSettings();
+    populatePasteTemplateSelect();
+    loadPasteTemplateEditor(getPasteTemplate(appSettings.pasteTemplate));
+};
 
-    const evolutionLines = baseForms.map((baseForm) => {
-        const line = [baseForm];
+/**
+ * Deletes the selected custom template after confirmation and goes back to the
+ * evolve list.
+ */
+const deletePasteTemplate = () => {
+    const template = appSettings.pasteTemplates.find((custom) => custom.id === pasteTemplateSelect.value);
+    if (!template || !window.confirm(`Delete the template "${template.name}"?`)) return;
+
+    appSettings.pasteTemplates = appSettings.pasteTemplates.filter((custom) => custom !== template);
+    appSettings.pasteTemplate = DEFAULT_PASTE_TEMPLATES[0].id;
+    saveAppSettings();
+    populatePasteTemplateSelect();
+    loadPasteTemplateEditor(getPasteTemplate(appSettings.pasteTemplate));
+};
 
-        // Find all evolutions of the current Pokémon
-        let evoChain = pokemonList.filter((p) => p.previousForms.includes(baseForm.id));
+/**
+ * Opens the paste template editor with the selected template.
+ */
+const openPasteTemplatesPanel = () => {
+    populatePasteTemplateSelect();
+    pasteSourceList.innerHTML = Object.entries(PASTE_SOURCES).map(([key, label]) => `<li><code>{${key}}</code> ${label}</li>`).join("");
+    showPanel(pasteTemplatesPanel);
+    loadPasteTemplateEditor(getPasteTemplate(appSettings.pasteTemplate));
+};
 
-        // Add each evolution to the line
-        evoChain.forEach((pokemon) => line.push(pokemon));
+// Offline Support -------------------------------------------------------------
+const DATASET_FILE = "pokemon_list.json";
+const updatedFiles = new Set();
 
-        // Fill in missing evolutions with null values
-        while (line.length < 6) {
-            line.push(null);
-        }
+/**
+ * Shows a notice when the service worker has fetched a newer copy of the Pokémon
+ * data or of the tool itself. The cached copy stays in use until the page is reloaded.
+ *
+ * @param {MessageEvent} event - The message from the service worker, { type: "update", url }.
+ */
+const handleServiceWorkerMessage = (event) => {
+    if (!event.data || event.data.type !== "update") return;
+    updatedFiles.add(new URL(event.data.url).pathname.endsWith(DATASET_FILE) ? "dataset" : "app");
+
+    if (updatedFiles.size === 2) {
+        showNotice("New Pokémon data and a new version of the tool are available. Reload the page to use them.");
+    } else if (updatedFiles.has("dataset")) {
+        showNotice("New Pokémon data is available. Reload the page to use it.");
+    } else {
+        showNotice("A new version of the tool is available. Reload the page to update.");
+    }
+};
+
+/**
+ * Registers the service worker that caches the tool and the Pokémon data for
+ * offline use, if the browser supports it.
+ */
+const registerServiceWorker = () => {
+    if (!("serviceWorker" in navigator)) return;
 
-        return line;
+    navigator.serviceWorker.register("sw.js").catch((error) => {
+        console.error("Error registering the service worker:", error);
     });
+};
 
+// Trade Matcher -------------------------------------------------------------
+let tradeMatch = null;
 
+/**
+ * Reads the caught variants of a collection, either from an export code or from
+ * the active profile.
+ *
+ * @param {string} code - The export code, or "" for the active profile.
+ * @returns {Map} - The spare copies (null when quantities are unknown) of each caught variant, keyed by "id|variant".
+ */
+const getTradeCollection = (code) => {
+    const collection = new Map();
+    const list = code.trim() ? decodeExportCode(code).pokemonList : pokemonList;
+
+    list.forEach((pokemon) => {
+        pokemon.variants.filter((variant) => variant.caught).forEach((variant) => {
+            const spare = typeof variant.owned === "number" ? getTradeableCount({ caught: true, owned: variant.owned, reserved: variant.reserved }) : null;
+            collection.set(`${pokemon.id}|${variant.type}`, spare);
+        });
+    });
+    return collection;
+};
 
-    /* Returns a string of HTML for a table row representing an evolution line.
-     * Each cell in the row contains a Pokémon card, unless the cell is empty,
-     * in which case it is left blank.
-     */
-    return evolutionLines.map((line) => {
-        const row = line.map((pokemon) => {
-            if (!pokemon) return `<td></td>`;
+/**
+ * Lists the variants one collection has that the other lacks, keeping only
+ * variants of Pokémon in the dataset and matching the rarity, variant and wishlist
+ * filters of the trade view.
+ *
+ * @param {Map} from - The collection that has the variants.
+ * @param {Map} to - The collection that lacks them.
+ * @param {boolean} forUs - True when we would receive them, so the wishlist filter applies.
+ * @returns {Array} - The entries as { pokemon, variant, spare }, in variant order.
+ */
+const getTradeDifference = (from, to, forUs) => {
+    const pokemonById = new Map(pokemonList.map((pokemon) => [pokemon.id, pokemon]));
+    const entries = [];
+
+    from.forEach((spare, key) => {
+        if (to.has(key)) return;
+        const [id, variantType] = key.split("|");
+        const pokemon = pokemonById.get(parseInt(id));
+        const variant = pokemon && pokemon.variants.find((v) => v.type === variantType);
+        if (!variant) return;
+
+        if (tradeRarityFilter.value && pokemon.rarity !== tradeRarityFilter.value) return;
+        if (tradeVariantFilter.value && variantType !== tradeVariantFilter.value) return;
+        if (forUs && tradeWishlistOnly.checked && !isWishlisted(pokemon, variantType)) return;
+        entries.push({ pokemon, variant, spare });
+    });
+    return sortVariantEntries(entries);
+};
 
-            // Get the selected variant for the current Pokémon
-            const selectedVariant = pokemon.variants.find(v => v.type === variantType);
-            return `
-                <td>
-                    <div class="pokemon-card ${selectedVariant?.caught ? "caught" : ""}"
-                        onclick="toggleCaught(${pokemon.id}, '${selectedVariant.type}')">
-                        <h4>${selectedVariant.type} ${pokemon.name}</h4>
-                    </div>
-                </td>
-            `;
-        }).join("");
+/**
+ * Compares the two codes of the trade view and shows what each side can give the
+ * other. Nothing is imported into the save.
+ */
+const matchTrades = () => {
+    try {
+        const ours = getTradeCollection(tradeOurCode.value);
+        const theirs = getTradeCollection(tradeTheirCode.value);
+        tradeMatch = { give: getTradeDifference(ours, theirs, false), get: getTradeDifference(theirs, ours, true) };
+    } catch (error) {
+        console.error("Error reading trade codes:", error);
+        tradeMatch = null;
+        tradeResults.innerHTML = `<p>One of the codes is not a valid export code.</p>`;
+        return;
+    }
 
-        return `<tr>${row}</tr>`;
-    }).join("");
+    const renderList = (title, entries) => `
+        <h3>${title} (${entries.length})</h3>
+        ${entries.length > 0 ? `<ul>${entries.map(({ pokemon, variant, spare }) =>
+            `<li>${variant.type} ${pokemon.name}${spare ? ` <small>x${spare} spare</small>` : ""}</li>`
+        ).join("")}</ul>` : `<p>Nothing.</p>`}
+    `;
+    tradeResults.innerHTML = renderList("You have, they need", tradeMatch.give) + renderList("They have, you need", tradeMatch.get);
 };
 
 /**
- * Displays Pokémon sorted by variant type and rarity in the Pokédex.
- * Filters and groups Pokémon based on active filters and caught status.
- * 
- * @param {Array} list - The list of Pokémon to display.
+ * Writes the trade match as a plain text list grouped by variant, ready to paste
+ * into a chat.
  */
-const displayPokemon = (list) => {
-    const variantOrder = ["Normal","Shiny", "Dark", "Mystic", "Metallic", "Shadow"];
-    const rarityOrder = ["Common", "Rare", "Legendary", "Ultra Beast","Paradox"];
+const exportTradeMatch = () => {
+    if (!tradeMatch) matchTrades();
+    if (!tradeMatch) return;
 
-    // Group Pokémon by variant type and sort within each group by rarity
-    const sortedByVariant = variantOrder.map((variantType) => ({
-        type: variantType,
-        pokemons: list.filter((pokemon) =>
-            pokemon.variants.some((variant) => variant.type === variantType)
-        ).sort((a, b) => {
-            const aRarityIndex = rarityOrder.indexOf(a.rarity);
-            const bRarityIndex = rarityOrder.indexOf(b.rarity);
-            return aRarityIndex - bRarityIndex;
-        }),
-    }));
+    const groupByVariant = (entries) => VARIANT_ORDER.map((variantType) => {
+        const names = entries.filter(({ variant }) => variant.type === variantType).map(({ pokemon }) => pokemon.name);
+        return names.length > 0 ? `${variantType}: ${names.join(", ")}` : null;
+    }).filter(Boolean).join("\n") || "Nothing";
 
-    const fragment = document.createDocumentFragment();
+    tradeOutput.value = `I can offer:\n${groupByVariant(tradeMatch.give)}\n\nI'm looking for:\n${groupByVariant(tradeMatch.get)}`;
+    tradeOutput.style.display = "block";
+};
 
-    // Iterate over each variant group to build the display
-    sortedByVariant.forEach((variantGroup) => {
-        if (variantGroup.pokemons.length === 0) return; // Skip empty groups
+/**
+ * Opens the trade view.
+ */
+const openTradePanel = () => {
+    tradeRarityFilter.innerHTML = `<option value="">All Rarities</option>` +
+        RARITY_ORDER.map((rarity) => `<option value="${rarity}">${rarity}</option>`).join("");
+    tradeVariantFilter.innerHTML = `<option value="">All Variants</option>` +
+        VARIANT_ORDER.map((variantType) => `<option value="${variantType}">${variantType}</option>`).join("");
+    tradeMatch = null;
+    tradeResults.innerHTML = "";
+    tradeOutput.style.display = "none";
+    showPanel(tradePanel);
+};
 
-        // Check if all Pokémon in the group are caught
-        const allCaught = variantGroup.pokemons.every((pokemon) => {
-            const variant = pokemon.variants.find((v) => v.type === variantGroup.type);
-            return variant?.caught;
-        });
+// Team Dashboard -------------------------------------------------------------
+const TEAM_KEY = "pokedexTeam";
+const TEAM_MATRIX_LIMIT = 200;
+let team = { members: [], includeSelf: true };
+let teamRouteRows = [];
 
-        // Skip the group if all Pokémon are caught and caught Pokémon are hidden
-        if (!showCaught && allCaught) return;
+/**
+ * Reads the team members and their export codes from local storage.
+ *
+ * @returns {Object} - The team as { members: [{ name, code }], includeSelf }.
+ */
+const readTeam = () => {
+    const savedTeam = localStorage.getItem(TEAM_KEY);
+    return savedTeam ? JSON.parse(savedTeam) : { members: [], includeSelf: true };
+};
 
-        // Filter out groups if a specific variant filter is active
-        if (activeFilters.variant !== "" && activeFilters.variant !== variantGroup.type) return;
+/**
+ * Saves the team to local storage.
+ */
+const saveTeam = () => {
+    writeStorage(TEAM_KEY, JSON.stringify(team));
+};
 
-        const groupDiv = document.createElement("div");
-        groupDiv.className = "variant-group";
-        groupDiv.innerHTML = `
-            <h2>${variantGroup.type} Pokémon</h2>
-            <table class="pokemon-table">
-                <tr>
-                    <th></th>
-                    <th></th>
-                    <th></th>
-                    <th></th>
-                    <th></th>
-                    <th></th>
-                </tr>
-                ${getEvolutionRows(variantGroup.pokemons, variantGroup.type)}
-            </table>
-        `;
-        fragment.appendChild(groupDiv);
-    });
+/**
+ * Adds a member with the name and code entered in the team view, or updates the
+ * code of the member with that name.
+ */
+const addTeamMember = () => {
+    const name = teamMemberName.value.trim();
+    const code = teamMemberCode.value.trim();
+    if (!name || !code) return;
 
-    // Clear previous display and append the new Pokémon display
-    pokedex.innerHTML = "";
-    pokedex.appendChild(fragment);
+    try {
+        decodeExportCode(code);
+    } catch (error) {
+        console.error("Error reading team code:", error);
+        alert("That is not a valid export code.");
+        return;
+    }
+
+    const member = team.members.find((m) => m.name === name);
+    if (member) {
+        member.code = code;
+    } else {
+        team.members.push({ name, code });
+    }
+    teamMemberName.value = "";
+    teamMemberCode.value = "";
+    saveTeam();
+    renderTeamDashboard();
 };
 
-//Capture Card Visibility -------------------------------------------------
 /**
- * Toggles the caught status of the given Pokémon and its variant.
- * @param {number} id - The ID of the Pokémon to toggle.
- * @param {string} variantType - The type of the variant to toggle (e.g. "Normal", "Shiny", etc.).
+ * Removes a member from the team.
+ *
+ * @param {number} index - The index of the member.
  */
-const toggleCaught = (id, variantType) => {
-    const pokemon = pokemonList.find((p) => p.id === id);
-    if (pokemon) {
-        const variant = pokemon.variants.find((v) => v.type === variantType);
-        if (variant) {
-            // Toggle the caught status of the variant
-            variant.caught = !variant.caught;
-            // Save the updated progress to local storage
-            saveProgress();
-            // Re-apply filters to the Pokémon list
-            filterPokemon();
-            // Update the Pokémon counter display
-            updatePokemonCounter();
+const removeTeamMember = (index) => {
+    if (!window.confirm(`Remove ${team.members[index].name} from the team?`)) return;
+    team.members.splice(index, 1);
+    saveTeam();
+    renderTeamDashboard();
+};
 
-            // If caught Pokémon are hidden, re-apply visibility rules
-            if (!showCaught) {
-                applyCaughtVisibilityRules();
-            }
+/**
+ * Returns every member of the team with their caught variants. Members whose code
+ * can no longer be read are left out.
+ *
+ * @returns {Array} - The members as { name, caught, index } where caught is a Set of
+ * "id|variant" and index is the member's position in team.members, or -1 for yourself.
+ */
+const getTeamCollections = () => {
+    const self = team.includeSelf ? [{ name: profiles.profiles.find((p) => p.id === profiles.active).name, code: "", index: -1 }] : [];
+    return [...self, ...team.members.map((member, index) => ({ ...member, index }))].flatMap((member) => {
+        try {
+            return [{ name: member.name, caught: new Set(getTradeCollection(member.code).keys()), index: member.index }];
+        } catch (error) {
+            console.error(`Error reading the code of ${member.name}:`, error);
+            return [];
         }
-    }
+    });
 };
 
 /**
- * Applies visibility rules to the Pokémon cards based on the showCaught flag.
- * If showCaught is true, all caught Pokémon cards are displayed. Otherwise, they are hidden.
+ * Builds a copy of pokemonList where a variant only counts as uncaught if the team
+ * is missing it: anyone missing it for "union", everyone for "intersection".
+ *
+ * @param {Array} members - The members from getTeamCollections().
+ * @param {string} mode - "union" or "intersection".
+ * @returns {Array} - The Pokémon with the team's caught flags.
  */
-const applyCaughtVisibilityRules = () => {
-    const caughtCards = document.querySelectorAll(".pokemon-card.caught");
+const buildTeamPokemonList = (members, mode) => {
+    return pokemonList.map((pokemon) => ({
+        ...pokemon,
+        variants: pokemon.variants.map((variant) => {
+            const key = `${pokemon.id}|${variant.type}`;
+            const missing = mode === "union"
+                ? members.some((member) => !member.caught.has(key))
+                : members.every((member) => !member.caught.has(key));
+            return { ...variant, caught: !missing };
+        })
+    }));
+};
 
-    // Iterate over each caught Pokémon card and apply visibility rules
-    caughtCards.forEach((card) => {
-        // If showCaught is true, display the card. Otherwise, hide it.
-        card.style.display = showCaught ? "block" : "none";
+/**
+ * Ranks the routes by their chance of finding a variant the team is missing.
+ *
+ * @param {Array} members - The members from getTeamCollections().
+ * @param {string} mode - "union" or "intersection".
+ * @returns {Array} - The rows as { location, type, time, chance, missing }, best first.
+ */
+const getTeamRouteRankings = (members, mode) => {
+    const teamList = buildTeamPokemonList(members, mode);
+    const locations = sortLocations(areasArray.map((area) => area.name), /^Route \d+$/i).filter((name) => name !== "Roaming");
+
+    const rows = locations.flatMap((location) => {
+        const area = areasArray.find((a) => a.name === location);
+        return Object.keys(area.types).flatMap((type) => Object.keys(area.types[type]).map((time) => {
+            const filters = { location, type, time };
+            const areaPokemon = teamList.filter((pokemon) => tripleFilter(pokemon, filters));
+            return {
+                ...filters,
+                chance: calculateProbability(areaPokemon, filters),
+                missing: areaPokemon.reduce((sum, pokemon) => sum + pokemon.variants.filter((variant) => !variant.caught).length, 0)
+            };
+        }));
     });
+    return sortRouteRankings(rows, "chance", true);
 };
 
 /**
- * Toggles the visibility of caught Pokémon cards.
- * If showCaught is true, all caught Pokémon cards are displayed. Otherwise, they are hidden.
- * The button text is updated to reflect the new state.
+ * Renders the team view: each member's completion, the Pokémon × variant matrix of
+ * who has what (for the filtered Pokémon, or the whole dex without filters) and the
+ * team route rankings.
  */
-const toggleCaughtVisibility = () => {
-    // Toggle the showCaught flag
-    showCaught = !showCaught;
+const renderTeamDashboard = () => {
+    teamIncludeSelf.checked = team.includeSelf;
+    const members = getTeamCollections();
+    const totalVariants = pokemonList.reduce((sum, pokemon) => sum + pokemon.variants.length, 0);
+    const validKeys = new Set(pokemonList.flatMap((pokemon) => pokemon.variants.map((variant) => `${pokemon.id}|${variant.type}`)));
+
+    teamMembers.innerHTML = members.map((member) => {
+        const caught = [...member.caught].filter((key) => validKeys.has(key)).length;
+        return `
+            <li>
+                <span>${escapeHtml(member.name)}</span>
+                <span>${caught} / ${totalVariants} (${(caught / totalVariants * 100).toFixed(1)}%)</span>
+                ${member.index !== -1 ? `<button onclick="removeTeamMember(${member.index})">Remove</button>` : ""}
+            </li>
+        `;
+    }).join("");
 
-    // Apply visibility rules to the Pokémon cards
-    applyCaughtVisibilityRules();
+    if (members.length === 0) {
+        teamMatrix.innerHTML = `<p>Add team members with their export codes to compare progress.</p>`;
+        teamRankingTable.innerHTML = "";
+        return;
+    }
 
-    // Update the button text
-    const toggleButton = document.getElementById("toggleCaughtButton");
-    toggleButton.textContent = showCaught ? "Hide Caught Pokémon" : "Show Caught Pokémon";
+    // Matrix of who has each variant
+    const filtered = activeFilters.location || activeFilters.time || activeFilters.type;
+    const variantTypes = VARIANT_ORDER.filter((type) => !activeFilters.variant || type === activeFilters.variant);
+    const scope = filtered ? getDisplayList(getFilteredLines()) : pokemonList;
+    const rows = scope.filter((pokemon) => !teamIncompleteOnly.checked || pokemon.variants.some((variant) =>
+        variantTypes.includes(variant.type) && members.some((member) => !member.caught.has(`${pokemon.id}|${variant.type}`))
+    ));
+
+    const cells = (pokemon) => variantTypes.map((variantType) => {
+        if (!pokemon.variants.some((variant) => variant.type === variantType)) return `<td></td>`;
+        const key = `${pokemon.id}|${variantType}`;
+        const have = members.filter((member) => member.caught.has(key));
+        const status = have.length === members.length ? "team-full" : have.length > 0 ? "team-partial" : "team-none";
+        const missing = members.filter((member) => !member.caught.has(key)).map((member) => member.name);
+        return `<td class="${status}" title="${missing.length > 0 ? `Missing: ${escapeHtml(missing.join(", "))}` : "Everyone has it"}">${members.map((member) =>
+            `<span class="team-member ${member.caught.has(key) ? "has" : ""}">${escapeHtml(member.name.slice(0, 2))}</span>`
+        ).join("")}</td>`;
+    }).join("");
 
-    // Re-apply filters to the Pokémon list
-    filterPokemon();
+    teamMatrix.innerHTML = `
+        <p>${filtered ? "Pokémon for the current filters" : "Whole dex"}: ${rows.length} Pokémon${rows.length > TEAM_MATRIX_LIMIT ? `, showing the first ${TEAM_MATRIX_LIMIT}` : ""}.</p>
+        <table class="ranking-table team-matrix">
+            <tr><th>Pokémon</th>${variantTypes.map((variantType) => `<th>${variantType}</th>`).join("")}</tr>
+            ${rows.slice(0, TEAM_MATRIX_LIMIT).map((pokemon) => `<tr><td>${pokemon.name}</td>${cells(pokemon)}</tr>`).join("")}
+        </table>
+    `;
+
+    // Routes the team still needs
+    teamRouteRows = getTeamRouteRankings(members, teamRankingMode.value);
+    teamRankingTable.innerHTML = `
+        <tr><th>Location</th><th>Type</th><th>Time</th><th>Chance</th><th>Missing</th></tr>
+        ${teamRouteRows.map((row, index) => `
+            <tr data-index="${index}">
+                <td>${row.location}</td>
+                <td>${row.type}</td>
+                <td>${row.time}</td>
+                <td>${row.chance === undefined ? "—" : `1 in ${row.chance}`}</td>
+                <td>${row.missing}</td>
+            </tr>
+        `).join("")}
+    `;
 };
 
-//Counters ---------------------------------------------------------------
 /**
- * Updates the display of the Overall Pokémon counter based on the current value of
- * `counterMode`.
- * 
- * @returns {void}
+ * Opens the team view.
  */
-const updatePokemonCounter = () => {
-    // Calculate total number of Pokémon and number of caught Pokémon
-    const totalPokemon = pokemonList.reduce(
-        (sum, pokemon) => sum + pokemon.variants.length,
-        0
-    );
-    const caughtPokemon = pokemonList.reduce(
-        (sum, pokemon) =>
-        sum + pokemon.variants.filter((variant) => variant.caught).length,
-        0
+const openTeamPanel = () => {
+    team = readTeam();
+    renderTeamDashboard();
+    showPanel(teamPanel);
+};
+
+// Session Planner -------------------------------------------------------------
+const PLANNER_CHUNKS_PER_PERIOD = 12;
+const PLANNER_MIN_CHUNK = 25; // Fewest encounters before the plan may move to another area
+const PLANNER_REFRESH_DELAY = 300;
+
+/**
+ * Splits a session into its Day and Night periods, starting from the period the
+ * session started in, and drops the minutes that have already passed.
+ *
+ * @param {Object} session - The session as { minutes, period, minutesLeft, startedAt }.
+ * @returns {Array} - The remaining periods as { time, minutes }.
+ */
+const getSessionPeriods = (session) => {
+    const periods = [];
+    let time = session.period;
+    let length = session.minutesLeft;
+    let covered = 0;
+
+    while (covered < session.minutes) {
+        const minutes = Math.min(length, session.minutes - covered);
+        periods.push({ time, minutes });
+        covered += minutes;
+        time = time === "Day" ? "Night" : "Day";
+        length = time === "Day" ? appSettings.dayLength : appSettings.nightLength;
+    }
+
+    // Drop the part of the session that has already been played
+    let elapsed = (Date.now() - session.startedAt) / 60000;
+    while (periods.length > 0 && elapsed > 0) {
+        const passed = Math.min(elapsed, periods[0].minutes);
+        periods[0].minutes -= passed;
+        elapsed -= passed;
+        if (periods[0].minutes <= 0) periods.shift();
+    }
+    return periods;
+};
+
+/**
+ * Returns every area and type that can be hunted at a time of day, with the
+ * per-encounter probability of each uncaught variant on it.
+ *
+ * @param {string} time - "Day" or "Night".
+ * @returns {Array} - The candidates as { location, type, time, targets: [{ key, probability }] }.
+ */
+const getPlannerCandidates = (time) => {
+    return areasArray.filter((area) => area.name !== "Roaming").flatMap((area) =>
+        Object.keys(area.types)
+            .filter((type) => area.types[type][time] !== undefined)
+            .map((type) => {
+                const filters = { location: area.name, type, time };
+                return { ...filters, targets: getSimulationTargets(filters) };
+            })
+            .filter((candidate) => candidate.targets.length > 0)
     );
+};
+
+/**
+ * Plans the remaining session greedily: each period is split into chunks and every
+ * chunk goes to the area with the most expected new catches, given what earlier
+ * chunks are already expected to catch. Consecutive chunks on the same area are
+ * merged into one block.
+ *
+ * @param {Object} session - The session as { minutes, period, minutesLeft, startedAt }.
+ * @returns {Array} - The ordered blocks as { location, type, time, encounters, minutes, expected }.
+ */
+const planSession = (session) => {
+    const rate = appSettings.encounterRate;
+    const candidatesByTime = {};
+    const notFound = new Map(); // Chance each variant is still uncaught at this point of the plan
+    const blocks = [];
+
+    getSessionPeriods(session).forEach((period) => {
+        if (!candidatesByTime[period.time]) candidatesByTime[period.time] = getPlannerCandidates(period.time);
+        const candidates = candidatesByTime[period.time];
+        const periodEncounters = Math.floor(period.minutes * rate);
+        if (candidates.length === 0 || periodEncounters < 1) return;
+
+        const chunkSize = Math.max(PLANNER_MIN_CHUNK, Math.ceil(periodEncounters / PLANNER_CHUNKS_PER_PERIOD));
+        for (let done = 0; done < periodEncounters; done += chunkSize) {
+            const encounters = Math.min(chunkSize, periodEncounters - done);
+
+            // Expected new catches of a candidate for this chunk
+            const expectedCatches = (candidate) => candidate.targets.reduce((sum, { key, probability }) =>
+                sum + (notFound.has(key) ? notFound.get(key) : 1) * (1 - Math.pow(1 - probability, encounters)), 0);
+
+            let best = candidates[0];
+            let bestExpected = expectedCatches(best);
+            candidates.slice(1).forEach((candidate) => {
+                const expected = expectedCatches(candidate);
+                if (expected > bestExpected) {
+                    best = candidate;
+                    bestExpected = expected;
+                }
+            });
+
+            best.targets.forEach(({ key, probability }) => {
+                notFound.set(key, (notFound.has(key) ? notFound.get(key) : 1) * Math.pow(1 - probability, encounters));
+            });
+
+            const last = blocks[blocks.length - 1];
+            if (last && last.location === best.location && last.type === best.type && last.time === best.time) {
+                last.encounters += encounters;
+                last.expected += bestExpected;
+            } else {
+                blocks.push({ location: best.location, type: best.type, time: best.time, encounters, expected: bestExpected });
+            }
+        }
+    });
+
+    return blocks.map((block) => ({ ...block, minutes: block.encounters / rate }));
+};
 
-    const counterElement = document.getElementById("pokemonCounter");
+/**
+ * Starts a session from the planner inputs and shows its plan.
+ */
+const startSession = () => {
+    const length = parseFloat(plannerLength.value);
+    const minutesLeft = parseFloat(plannerMinutesLeft.value);
+    if (isNaN(length) || length <= 0 || isNaN(minutesLeft) || minutesLeft < 0) return;
+
+    updatePlannerSettings();
+    appSettings.plannerSession = {
+        startedAt: Date.now(),
+        minutes: plannerUnit.value === "minutes" ? length : length / appSettings.encounterRate,
+        period: plannerPeriod.value,
+        minutesLeft
+    };
+    saveAppSettings();
+    renderSessionPlan();
+};
 
-    // Update the counter display based on the current value of `counterMode`
-    if (counterMode === "count") {
-        counterElement.textContent = `Caught: ${caughtPokemon} / ${totalPokemon}`;
-    } else if (counterMode === "percent") {
-        const percent = (caughtPokemon / totalPokemon) * 100;
-        counterElement.textContent = `Caught: ${percent.toFixed(2)}%`;
-    }
+/**
+ * Ends the current session and clears its plan.
+ */
+const endSession = () => {
+    appSettings.plannerSession = null;
+    saveAppSettings();
+    renderSessionPlan();
 };
 
 /**
- * Updates the display of the Route Pokémon counter based on the current value of
- * `counterMode`.
- * 
- * @returns {void}
+ * Stores the encounter rate and day/night lengths from the planner inputs.
  */
-const updateRouteCounter = () => {
-    // Update the counter display based on the current value of `counterMode`
-    if (counterMode === "count") {
-        // Display the count of caught Pokémon out of the total
-        document.getElementById("routeCompletion").textContent = `Route : ${caughtPokemon} / ${totalPokemon} `
-    } else if (counterMode === "percent") {
-        // Display the percentage of caught Pokémon out of the total
-        const percent = (caughtPokemon / totalPokemon) * 100;
-        document.getElementById("routeCompletion").textContent = `Route : ${percent.toFixed(2)}%`
+const updatePlannerSettings = () => {
+    [[plannerRate, "encounterRate"], [plannerDayLength, "dayLength"], [plannerNightLength, "nightLength"]].forEach(([input, setting]) => {
+        const value = parseFloat(input.value);
+        if (!isNaN(value) && value > 0) appSettings[setting] = value;
+        input.value = appSettings[setting];
+    });
+    saveAppSettings();
+};
+
+/**
+ * Renders the plan of the current session in the planner and the next block in the
+ * header. The plan is rebuilt from the remaining time and the current catches, so
+ * the expected values update as catches are logged.
+ */
+const renderSessionPlan = () => {
+    const session = appSettings.plannerSession;
+    const blocks = session ? planSession(session) : [];
+
+    if (!session || blocks.length === 0) {
+        sessionPlanList.innerHTML = session ? `<li>The session is over.</li>` : "";
+        sessionStatus.style.display = "none";
+        sessionPlanRows = [];
+        return;
     }
-}
+
+    const round = (value) => Math.round(value).toLocaleString();
+    const totalExpected = blocks.reduce((sum, block) => sum + block.expected, 0);
+    sessionPlanRows = blocks;
+    sessionPlanList.innerHTML = blocks.map((block, index) => `
+        <li data-index="${index}">
+            <span>${index + 1}. ${block.time} · ${block.location} · ${block.type}</span>
+            <span>${round(block.encounters)} encounters (~${round(block.minutes)} min) · ${block.expected.toFixed(2)} expected new</span>
+        </li>
+    `).join("") + `<li><span>Total</span><span>${totalExpected.toFixed(2)} expected new catches</span></li>`;
+
+    const next = blocks[0];
+    sessionStatus.style.display = "block";
+    sessionStatus.textContent = `Session: ${next.location} ${next.type} (${next.time}) · ${round(next.encounters)} encounters · ${totalExpected.toFixed(2)} expected`;
+};
+
+/**
+ * Rebuilds the session plan once catches stop coming in for PLANNER_REFRESH_DELAY
+ * milliseconds, so marking several cards in a row plans only once.
+ */
+const scheduleSessionPlan = debounce(renderSessionPlan, PLANNER_REFRESH_DELAY);
+
+/**
+ * Opens the session planner with the stored encounter rate and day/night lengths.
+ */
+const openPlannerPanel = () => {
+    plannerRate.value = appSettings.encounterRate;
+    plannerDayLength.value = appSettings.dayLength;
+    plannerNightLength.value = appSettings.nightLength;
+    renderSessionPlan();
+    showPanel(plannerPanel);
+};
 
 // Event listeners -------------------------------------------------------------
+// Listen before the page loads so update messages from the service worker are not missed
+if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.addEventListener("message", handleServiceWorkerMessage);
+}
 exportBtn.addEventListener("click", exportPokedexData);
 importBtn.addEventListener("click", importPokedexData);
+importStrategy.addEventListener("change", renderImportPreview);
+document.getElementById("applyImportButton").addEventListener("click", applyImport);
+document.getElementById("exportCsvButton").addEventListener("click", exportCsv);
+document.getElementById("exportJsonButton").addEventListener("click", exportJson);
+document.getElementById("importCsvButton").addEventListener("click", () => csvFileInput.click());
+csvFileInput.addEventListener("change", () => {
+    if (csvFileInput.files.length > 0) readCsvFile(csvFileInput.files[0]);
+});
+[csvPokemonColumn, csvVariantColumn, csvFixedVariant, csvCaughtColumn, csvOwnedColumn, csvReservedColumn].forEach((select) => select.addEventListener("change", renderCsvPreview));
+document.getElementById("applyCsvImportButton").addEventListener("click", applyCsvImport);
+document.getElementById("shareButton").addEventListener("click", openSharePanel);
+document.getElementById("copyShareLinkButton").addEventListener("click", copyShareLink);
+document.getElementById("continueShareImportButton").addEventListener("click", continueShareImport);
+window.addEventListener("hashchange", checkShareLink);
+document.getElementById("pasteTemplatesButton").addEventListener("click", openPasteTemplatesPanel);
+pasteTemplateSelect.addEventListener("change", selectPasteTemplate);
+[pasteTemplateName, pasteTemplateText, pasteTemplateLine, pasteTemplateGroupHeader, pasteTemplateMaxLength].forEach((input) => input.addEventListener("input", renderPastePreview));
+[pasteTemplateGroup, pasteTemplateSeparator].forEach((select) => select.addEventListener("change", renderPastePreview));
+document.getElementById("savePasteTemplateButton").addEventListener("click", savePasteTemplate);
+deletePasteTemplateButton.addEventListener("click", deletePasteTemplate);
 exportToggle.addEventListener("click", toggleExportMode);
+noticeBanner.querySelector("button").addEventListener("click", hideNotice);
+profileSelect.addEventListener("change", () => switchProfile(profileSelect.value));
+document.getElementById("newProfileButton").addEventListener("click", createProfile);
+document.getElementById("renameProfileButton").addEventListener("click", renameProfile);
+document.getElementById("duplicateProfileButton").addEventListener("click", duplicateProfile);
+document.getElementById("deleteProfileButton").addEventListener("click", deleteProfile);
 
 //Allows Toggling Visibility of the settings menu and overlay
 document.getElementById("settings-toggle").addEventListener("click", () => {
     const settingsMenu = document.getElementById("settings-menu");
     settingsMenu.style.display = "block";
     settingsOverlay.style.display = "block";
+
+    updateRecommendModeButton();
+    updateTrackQuantitiesButton();
+    updateEvolutionAwareButton();
+    backupIntervalInput.value = appSettings.backupInterval;
+    backupRetentionInput.value = appSettings.backupRetention;
+    renderBackupList();
 });
 
+backupIntervalInput.addEventListener("change", () => updateBackupSetting(backupIntervalInput, "backupInterval"));
+backupRetentionInput.addEventListener("change", () => updateBackupSetting(backupRetentionInput, "backupRetention"));
+document.getElementById("createBackupButton").addEventListener("click", () => createBackup("Manual"));
+
 //Closes the settings menu and overlay when the user clicks outside of it
 document.addEventListener("click", (e) => {
-    if (e.target.id !== "settings-toggle" && e.target !== settingsMenu && !settingsMenu.contains(e.target)) {
+    if (e.target.id !== "settings-toggle" && !e.composedPath().includes(settingsMenu)) {
         settingsMenu.style.display = "none";
-        settingsOverlay.style.display = "none";
+        // Keep the overlay behind an open panel
+        if (!openPanel) settingsOverlay.style.display = "none";
+    }
+});
+
+//Closes the open panel when the user clicks the overlay or a close button
+settingsOverlay.addEventListener("click", closePanels);
+document.querySelectorAll(".panel .close-panel").forEach((button) => {
+    button.addEventListener("click", closePanels);
+});
+
+document.getElementById("historyButton").addEventListener("click", openHistoryPanel);
+document.getElementById("probabilityModelButton").addEventListener("click", openProbabilityModelPanel);
+document.getElementById("resetProbabilityModelButton").addEventListener("click", resetProbabilityModel);
+probabilityModelTables.addEventListener("change", (e) => {
+    if (e.target.tagName === "INPUT") updateProbabilityModelValue(e.target);
+});
+document.getElementById("encounterLogButton").addEventListener("click", openEncounterPanel);
+encounterSpecies.addEventListener("change", updateEncounterRareDefault);
+logEncounterButton.addEventListener("click", logEncounter);
+removeEncounterButton.addEventListener("click", removeLastEncounter);
+useCalibrationCheckbox.addEventListener("change", () => {
+    calibrationSettings.enabled = useCalibrationCheckbox.checked;
+    updateActiveProbabilityModel();
+    saveProgress();
+    refreshProgressDisplay();
+    renderEncounterPanel();
+});
+priorStrengthInput.addEventListener("change", () => {
+    const value = parseFloat(priorStrengthInput.value);
+    if (!isNaN(value) && value > 0) calibrationSettings.priorStrength = value;
+    saveEncounterLog();
+});
+document.getElementById("simulatorButton").addEventListener("click", openSimulatorPanel);
+simulatorLocation.addEventListener("change", populateSimulatorAreaOptions);
+simulatorType.addEventListener("change", populateSimulatorAreaOptions);
+document.getElementById("addSimulationBlockButton").addEventListener("click", addSimulationBlock);
+simulatorGoal.addEventListener("change", () => simulatorGoalCount.disabled = simulatorGoal.value !== "count");
+runSimulationButton.addEventListener("click", runSimulation);
+//Right-click or long-press on a card opens its details
+pokedex.addEventListener("contextmenu", (e) => {
+    const card = e.target.closest(".pokemon-card[data-id]");
+    if (card) {
+        e.preventDefault();
+        openPokemonDetail(parseInt(card.dataset.id));
+    }
+});
+pokedex.addEventListener("touchstart", startLongPress, { passive: true });
+["touchend", "touchmove", "touchcancel"].forEach((type) => pokedex.addEventListener(type, cancelLongPress));
+
+//Stops the click that ends a long-press from also toggling the card
+pokedex.addEventListener("click", (e) => {
+    if (longPressFired) {
+        e.stopPropagation();
+        longPressFired = false;
+    }
+}, true);
+
+//Opens a linked form or applies the filters of the clicked location in the details
+detailContent.addEventListener("click", (e) => {
+    const link = e.target.closest("a[data-id]");
+    const row = e.target.closest("tr[data-index]");
+    if (link) {
+        e.preventDefault();
+        openPokemonDetail(parseInt(link.dataset.id));
+    } else if (row) {
+        applyRouteFilters(detailLocationRows[row.dataset.index]);
+        closePanels();
+    }
+});
+searchInput.addEventListener("input", updateSearchSuggestions);
+searchInput.addEventListener("keydown", handleSearchKeys);
+searchInput.addEventListener("blur", () => setTimeout(hideSearchSuggestions, 150));
+searchSuggestions.addEventListener("mousedown", (e) => {
+    const item = e.target.closest("li[data-id]");
+    if (item) showSearchResults([pokemonList.find((p) => p.id === parseInt(item.dataset.id))]);
+});
+
+//Opens a linked evolution or applies the filters of the clicked location in the search results
+searchResults.addEventListener("click", (e) => {
+    const link = e.target.closest("a[data-id]");
+    const row = e.target.closest("tr[data-index]");
+    if (link) {
+        e.preventDefault();
+        showSearchResults([pokemonList.find((p) => p.id === parseInt(link.dataset.id))]);
+    } else if (row) {
+        applyRouteFilters(searchLocationRows[row.dataset.index]);
+        closePanels();
+    }
+});
+document.getElementById("wishlistButton").addEventListener("click", openWishlistPanel);
+targetModeButton.addEventListener("click", toggleTargetMode);
+document.getElementById("addWishlistEntryButton").addEventListener("click", addWishlistEntry);
+document.getElementById("addWishlistRuleButton").addEventListener("click", addWishlistRule);
+
+//Applies the filters of the clicked best location in the wishlist
+wishlistTable.addEventListener("click", (e) => {
+    const link = e.target.closest("a[data-index]");
+    if (link) {
+        e.preventDefault();
+        applyRouteFilters(wishlistLocationRows[link.dataset.index]);
+        closePanels();
+    }
+});
+document.getElementById("tradeButton").addEventListener("click", openTradePanel);
+document.getElementById("matchTradesButton").addEventListener("click", matchTrades);
+document.getElementById("exportTradeMatchButton").addEventListener("click", exportTradeMatch);
+[tradeRarityFilter, tradeVariantFilter, tradeWishlistOnly].forEach((filter) => {
+    filter.addEventListener("change", () => {
+        if (tradeMatch) matchTrades();
+    });
+});
+document.getElementById("teamButton").addEventListener("click", openTeamPanel);
+document.getElementById("addTeamMemberButton").addEventListener("click", addTeamMember);
+teamIncludeSelf.addEventListener("change", () => {
+    team.includeSelf = teamIncludeSelf.checked;
+    saveTeam();
+    renderTeamDashboard();
+});
+[teamIncompleteOnly, teamRankingMode].forEach((input) => input.addEventListener("change", renderTeamDashboard));
+
+//Applies the filters of the clicked team route
+teamRankingTable.addEventListener("click", (e) => {
+    const row = e.target.closest("tr[data-index]");
+    if (row) {
+        applyRouteFilters(teamRouteRows[row.dataset.index]);
+        closePanels();
+    }
+});
+document.getElementById("plannerButton").addEventListener("click", openPlannerPanel);
+document.getElementById("startSessionButton").addEventListener("click", startSession);
+document.getElementById("endSessionButton").addEventListener("click", endSession);
+[plannerRate, plannerDayLength, plannerNightLength].forEach((input) => {
+    input.addEventListener("change", () => {
+        updatePlannerSettings();
+        renderSessionPlan();
+    });
+});
+
+//Applies the filters of the clicked block of the session plan
+sessionPlanList.addEventListener("click", (e) => {
+    const row = e.target.closest("li[data-index]");
+    if (row) {
+        applyRouteFilters(sessionPlanRows[row.dataset.index]);
+        closePanels();
+    }
+});
+undoButton.addEventListener("click", undo);
+redoButton.addEventListener("click", redo);
+
+//Ctrl+Z undoes and Ctrl+Shift+Z (or Ctrl+Y) redoes, except while typing in a field
+document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || ["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
     }
 });
+[historyDayFilter, historyVariantFilter, historyLocationFilter].forEach((filter) => {
+    filter.addEventListener("change", renderHistoryTimeline);
+});
 
 //Enables toggling between count and percent modes for the counters
 document.getElementById("statsDisplayButton").addEventListener("click", () => {
@@ -765,102 +5138,233 @@ document.getElementById("statsDisplayButton").addEventListener("click", () => {
 
 document.getElementById("recommendedRouteButton").addEventListener("click", recommendedRoute);
 
+//Switches Recommended Route between ranking by next catch and by completion cost
+recommendModeButton.addEventListener("click", () => {
+    appSettings.recommendMode = appSettings.recommendMode === "completion" ? "chance" : "completion";
+    saveAppSettings();
+    updateRecommendModeButton();
+});
+
+//Shows or hides the quantity controls on the cards
+trackQuantitiesButton.addEventListener("click", () => {
+    appSettings.trackQuantities = !appSettings.trackQuantities;
+    saveAppSettings();
+    updateTrackQuantitiesButton();
+    refreshProgressDisplay();
+});
+
+//Excludes variants that can be evolved from owned previous forms from hunting
+evolutionAwareButton.addEventListener("click", () => {
+    appSettings.evolutionAware = !appSettings.evolutionAware;
+    saveAppSettings();
+    updateEvolutionAwareButton();
+    refreshProgressDisplay();
+});
+document.getElementById("evolutionChecklistButton").addEventListener("click", openEvolutionChecklistPanel);
+document.getElementById("routeRankingButton").addEventListener("click", openRouteRankingPanel);
+
+//Sorts the route ranking by the clicked column, or applies the clicked route
+routeRankingTable.addEventListener("click", (e) => {
+    const headerCell = e.target.closest("th[data-sort]");
+    if (headerCell) {
+        const key = headerCell.dataset.sort;
+        rankingSort = { key, ascending: rankingSort.key === key ? !rankingSort.ascending : true };
+        renderRouteRanking();
+        return;
+    }
+
+    const row = e.target.closest("tr[data-index]");
+    if (row) {
+        applyRouteFilters(routeRankingRows[row.dataset.index]);
+        closePanels();
+    }
+});
+
 // Areas and Probabilities -------------------------------------------------------------
 /**
  * Finds the optimal route based on the active filters and updates the filters and
- * the Pokémon display accordingly.
+ * the Pokémon display accordingly. The optimal route is the top of the route
+ * ranking: the lowest "1 in N" chance for the next catch, or the fewest expected
+ * encounters to finish the route when recommending by completion. Routes come
+ * before named locations on ties.
  */
 function recommendedRoute() {
-	//Filter out Roaming Pokemon as an area for Recommendations
-	const filteredAreas = areasArray.filter(area => area.name !== "Roaming");
-	
-    // Sort the areasArray based on the activeFilters.type
-    const sortedAreas = filteredAreas.sort((a, b) => {
-        const locationA = a.name;
-        const locationB = b.name;
-        const regex = new RegExp(/^Route \d+$/i);
-
-        if (regex.test(locationA)) {
-            if (regex.test(locationB)) {
-                // Compare the route numbers
-                return parseInt(locationA.match(/\d+/)) - parseInt(locationB.match(/\d+/));
-            } else {
-                // Sort routes before other locations
-                return -1;
-            }
-        } else {
-            if (regex.test(locationB)) {
-                // Sort other locations after routes
-                return 1;
-            } else {
-                // Sort other locations alphabetically
-                return locationA.localeCompare(locationB);
-            }
-        }
-    });
+    const key = appSettings.recommendMode === "completion" ? "finish" : "chance";
+    const rankings = sortRouteRankings(getRouteRankings(), key, true);
+    if (rankings.length === 0 || rankings[0][key] === undefined) return;
 
-    let matchingRoutes = [];
-
-    const timeValues = sortedAreas.map((area) => {
-		const landTime = area.types.Land || {};
-		const waterTime = area.types.Water || {};
-		if (Object.keys(landTime).length === 0 || Object.keys(waterTime).length === 0) {
-			time = {
-				...landTime,
-				...waterTime
-			};
-		} else {
-			const landMinTime = activeFilters.time === "" ? Math.min(...Object.values(landTime)) : landTime[activeFilters.time];
-			const waterMinTime = activeFilters.time === "" ? Math.min(...Object.values(waterTime)) : waterTime[activeFilters.time];
-			time = landMinTime < waterMinTime ? landTime : waterTime;
-		}
-	
-		const value = activeFilters.time === "" ? Math.min(...Object.values(time)) : time[activeFilters.time];
-		return isNaN(value) ? null : value; // filter out NaN values
-	}).filter((value) => value !== null); // remove null values from the array
+    applyRouteFilters(rankings[0]);
+}
 
-    const minTimeValue = Math.min(...timeValues);
-	
-    matchingRoutes = sortedAreas.filter((area) => {
-        const landTime = area.types.Land || {};
-        const waterTime = area.types.Water || {};
-        if (Object.keys(landTime).length === 0 || Object.keys(waterTime).length === 0) {
-            time = {
-                ...landTime,
-                ...waterTime
-            };
-        } else {
-            const landMinTime = activeFilters.time === "" ? Math.min(...Object.values(landTime)) : landTime[activeFilters.time];
-            const waterMinTime = activeFilters.time === "" ? Math.min(...Object.values(waterTime)) : waterTime[activeFilters.time];
-            time = landMinTime < waterMinTime ? landTime : waterTime;
-        }
+/**
+ * Builds a row for every area, type and time combination in areasArray with its
+ * route chance and completion. Roaming Pokémon are left out as they are not an area
+ * to hunt on, and only the active time is included when the time filter is set.
+ * Rows are in location order (routes numerically first, then named locations).
+ *
+ * @returns {Array} - The ranking rows as { location, type, time, chance, finish, uncaught, caught, total },
+ * where finish is the expected number of encounters to catch everything still uncaught.
+ */
+function getRouteRankings() {
+    const areasByName = new Map(areasArray.map((area) => [area.name, area]));
+    const locations = sortLocations([...areasByName.keys()], /^Route \d+$/i).filter((name) => name !== "Roaming");
+
+    // Group the Pokémon and the evolution lines by area once instead of filtering the whole dex for every row
+    const areaKey = (location, type, time) => `${location}|${type}|${time}`;
+    const pokemonByArea = new Map();
+    const linesByArea = new Map();
+    const addToArea = (map, key, list) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(...list);
+    };
+    pokemonList.forEach((pokemon) => {
+        const keys = new Set(pokemon.locations.map((place) => areaKey(place.place, place.type, place.time)));
+        const line = pokemon.previousForms.length === 0 ? getDisplayList([pokemon]) : null;
+        keys.forEach((key) => {
+            addToArea(pokemonByArea, key, [pokemon]);
+            if (line) addToArea(linesByArea, key, line);
+        });
+    });
 
-        return activeFilters.time === "" ? Math.min(...Object.values(time)) === minTimeValue : time[activeFilters.time] === minTimeValue;
+    return locations.flatMap((location) => {
+        const area = areasByName.get(location);
+        return Object.keys(area.types).flatMap((type) =>
+            Object.keys(area.types[type])
+                .filter((time) => !activeFilters.time || time === activeFilters.time)
+                .map((time) => {
+                    // Estimate the encounters to catch every uncaught variant on the route
+                    const filters = { location, type, time };
+                    const areaPokemon = pokemonByArea.get(areaKey(location, type, time)) || [];
+                    const estimate = estimateCompletion(getVariantProbabilities(areaPokemon, filters).map(({ probability }) => probability));
+
+                    // Count completion over the same evolution lines the route view shows
+                    const routePokemon = linesByArea.get(areaKey(location, type, time)) || [];
+                    const total = routePokemon.reduce((sum, pokemon) => sum + pokemon.variants.length, 0);
+                    const caught = routePokemon.reduce((sum, pokemon) => sum + pokemon.variants.filter((variant) => variant.caught).length, 0);
+
+                    return {
+                        location,
+                        type,
+                        time,
+                        chance: area.types[type][time],
+                        finish: estimate ? estimate.mean : undefined,
+                        uncaught: total - caught,
+                        caught,
+                        total
+                    };
+                })
+        );
     });
+}
 
-    let optimalRoute = matchingRoutes[0]
-    const minType = Object.keys(optimalRoute.types).reduce((minKey, currentKey) =>
-        Math.min(optimalRoute.types[minKey][activeFilters.time], optimalRoute.types[currentKey][activeFilters.time]) === optimalRoute.types[currentKey][activeFilters.time] ? currentKey : minKey
-    );
+/**
+ * Sorts route ranking rows by one of their columns. Rows without a value (e.g. no
+ * chance because everything is caught) always go last. The sort is stable, so ties
+ * keep the location order of getRouteRankings().
+ *
+ * @param {Array} rows - The ranking rows.
+ * @param {string} key - The column to sort by ("location", "type", "time", "chance", "finish", "uncaught" or "completion").
+ * @param {boolean} ascending - True to sort in ascending order.
+ * @returns {Array} - The sorted rows.
+ */
+function sortRouteRankings(rows, key, ascending) {
+    const value = (row) => key === "completion" ? row.caught / row.total : row[key];
+    const direction = ascending ? 1 : -1;
+
+    return [...rows].sort((a, b) => {
+        const valueA = value(a);
+        const valueB = value(b);
+        if (valueA === undefined || valueB === undefined) {
+            return (valueA === undefined) - (valueB === undefined);
+        }
+        if (typeof valueA === "string") return direction * valueA.localeCompare(valueB);
+        return direction * (valueA - valueB);
+    });
+}
 
-    if (activeFilters.time === "") {
-        const minTime = Object.keys(optimalRoute.types[minType]).find(time => optimalRoute.types[minType][time] === Math.min(...Object.values(optimalRoute.types[minType])));
-        activeFilters.time = minTime;
-    }
+/**
+ * Updates the label of the recommendation mode button in the settings menu.
+ */
+function updateRecommendModeButton() {
+    recommendModeButton.textContent = `Recommend By: ${appSettings.recommendMode === "completion" ? "Completion" : "Next Catch"}`;
+}
 
-    activeFilters.location = matchingRoutes[0].name
-    activeFilters.type = minType
+/**
+ * Sets the location, type and time filters to a route and updates the dropdowns
+ * and the Pokémon display.
+ *
+ * @param {Object} route - The route as { location, type, time }.
+ */
+function applyRouteFilters(route) {
+    activeFilters.location = route.location;
+    activeFilters.type = route.type;
+    activeFilters.time = route.time;
 
-    // Update the type dropdown
+    // Update the dropdowns
     typeFilter.value = activeFilters.type;
-
-    // Update the time dropdown
     timeFilter.value = activeFilters.time;
-
-    // Update the location dropdown
     locationFilter.value = activeFilters.location;
     filterPokemon();
 }
+
+/**
+ * Renders the route ranking table sorted by the selected column. Clicking a row
+ * applies its filters.
+ */
+function renderRouteRanking() {
+    const rows = sortRouteRankings(getRouteRankings(), rankingSort.key, rankingSort.ascending);
+    const columns = [
+        ["location", "Location"],
+        ["type", "Type"],
+        ["time", "Time"],
+        ["chance", "Chance"],
+        ["finish", "To Finish"],
+        ["uncaught", "Uncaught"],
+        ["completion", "Completion"]
+    ];
+
+    const header = columns.map(([key, title]) => {
+        const arrow = rankingSort.key === key ? (rankingSort.ascending ? " ▲" : " ▼") : "";
+        return `<th data-sort="${key}">${title}${arrow}</th>`;
+    }).join("");
+
+    const body = rows.map((row, index) => `
+        <tr data-index="${index}">
+            <td>${row.location}</td>
+            <td>${row.type}</td>
+            <td>${row.time}</td>
+            <td>${row.chance === undefined ? "—" : `1 in ${row.chance}`}</td>
+            <td>${row.finish === undefined ? "—" : `~${Math.round(row.finish).toLocaleString()}`}</td>
+            <td>${row.uncaught}</td>
+            <td>${(row.caught / row.total * 100).toFixed(1)}%</td>
+        </tr>
+    `).join("");
+
+    routeRankingNote.textContent = activeFilters.time ? `Showing ${activeFilters.time} only (time filter).` : "";
+
+    const dex = estimateDexCompletion(activeFilters.variant);
+    const scope = activeFilters.variant ? `Full dex (${activeFilters.variant})` : "Full dex";
+    const excluded = [
+        dex.evolutionOnly > 0 ? `${dex.evolutionOnly} only obtainable by evolving` : "",
+        dex.roamingOnly > 0 ? `${dex.roamingOnly} only found Roaming` : "",
+        dex.other > 0 ? `${dex.other} not counted (no chance on any area, or left out by Target Mode or Evolution-Aware)` : ""
+    ].filter(Boolean);
+    dexEstimate.textContent = (dex.estimate
+        ? `${scope}: ${formatCompletionEstimate(dex.estimate)} encounters across ${dex.areas} areas`
+        : `${scope}: nothing left to hunt`) +
+        (excluded.length > 0 ? `. Not in the estimate: ${excluded.join(", ")}.` : ".");
+    routeRankingTable.innerHTML = `<tr>${header}</tr>${body}`;
+    routeRankingRows = rows;
+}
+
+/**
+ * Opens the route ranking view.
+ */
+function openRouteRankingPanel() {
+    renderRouteRanking();
+    showPanel(routeRankingPanel);
+}
+
 /**
  * Generates an array of objects representing areas in the game.
  *
@@ -932,18 +5436,11 @@ function allProbabilities() {
             // Iterate over each time of day within the type
             Object.keys(area.types[type]).forEach((timeOfDay) => {
                 // Filter the Pokémon list to match the current area, type, and time of day
-                const filteredPokemonList = pokemonList.filter((pokemon) => {
-                    return pokemon.locations.some((location) => {
-                        const matchesRoute = location.place === area.name;
-                        const matchesType = location.type === type;
-                        const matchesTime = location.time === timeOfDay;
-
-                        return matchesRoute && matchesType && matchesTime;
-                    });
-                });
+                const filters = { location: area.name, type, time: timeOfDay };
+                const filteredPokemonList = pokemonList.filter((pokemon) => tripleFilter(pokemon, filters));
 
                 // Calculate the probability for the current filters
-                const probability = calculateProbability(filteredPokemonList);
+                const probability = calculateProbability(filteredPokemonList, filters);
                 // Update the areasArray with the calculated probability
                 area.types[type][timeOfDay] = probability;
             });
@@ -952,62 +5449,37 @@ function allProbabilities() {
 }
 
 /**
- * Calculates the probability of encountering a Pokémon based on the rarity of the Pokémon, the 
- * presence of other Pokémon of the same rarity, and the modifiers for each variant type.
- * 
- * @param {Array} pokemonList - The list of Pokémon to calculate the probability for.
- * @param {Array} filteredPokemonList - The filtered list of Pokémon that match all active filters.
- * 
- * @returns {Number} The calculated probability of encountering a Pokémon.
+ * Returns the rarity a Pokémon is encountered as. High level common Pokémon (those
+ * with previous forms) are encountered as Rare.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @returns {string} - The encounter rarity.
  */
-function calculateProbability(filteredPokemonList) {
-    // Probability values for each rarity type
-    const rarityProbabilities = {
-        "Common": 1,
-        "Rare": 0.005,
-        "Legendary": 0.001,
-        "Ultra Beast": 0.0001,
-		"Paradox": 0.00005
-    };
-
-    // Modifier values for common Pokémon variants
-    const commonModifiers = {
-        "Normal": 0.92,
-        "Shiny": 0.01,
-        "Dark": 0.02,
-        "Mystic": 0.02,
-        "Metallic": 0.02,
-        "Shadow": 0.01,
-    };
-
-    // Modifier values for rare Pokémon variants
-    const rareModifiers = {
-        "Normal": 0.6,
-        "Shiny": 0.05,
-        "Dark": 0.1,
-        "Mystic": 0.1,
-        "Metallic": 0.1,
-        "Shadow": 0.05,
-    };
-
-    // Filter for Pokémon that are uncaught and match all active filters
-    const uncaughtPokemon = filteredPokemonList.filter((pokemon) =>
-        pokemon.variants.some((variant) => !variant.caught)
-    );
-
-    let routeProbability = 0;
+function getEncounterRarity(pokemon) {
+    if (pokemon.rarity === "Common" && pokemon.previousForms.length > 0) return "Rare";
+    return pokemon.rarity;
+}
 
-    // Hide probability and completion display if there are no uncaught Pokémon
-    if (uncaughtPokemon.length === 0) {
-        return;
-    }
+/**
+ * Works out the encounter rates on a route that every variant probability depends
+ * on: the chance of each rarity (Common takes what the rarer Pokémon on the route
+ * leave) and how many common and rare Pokémon share those chances.
+ *
+ * @param {Array} filteredPokemonList - The filtered list of Pokémon that match all active filters.
+ * @param {Object} filters - The location, time and type the list was filtered by, defaults to the active filters.
+ *
+ * @returns {Object} The route as { rarityProbabilities, totalCommons, totalRares }.
+ */
+function getEncounterRates(filteredPokemonList, filters = activeFilters) {
+    // Probability values of the active profile's model
+    const rarityProbabilities = { ...activeProbabilityModel.rarityProbabilities };
 
     let commonProb = 1;
 
     // Calculate total number of rare and common Pokémon
     const totalRares = filteredPokemonList.filter((pokemon) =>
         pokemon.rarity === "Rare" ||
-        (pokemon.previousForms.length > 0 && tripleFilter(pokemon))).length;
+        (pokemon.previousForms.length > 0 && tripleFilter(pokemon, filters))).length;
 
     const totalCommons = filteredPokemonList.filter((pokemon) =>
         pokemon.rarity === "Common" && pokemon.previousForms.length === 0).length;
@@ -1020,38 +5492,216 @@ function calculateProbability(filteredPokemonList) {
 
     rarityProbabilities["Common"] = commonProb;
 
-    // Calculate the probability for each uncaught Pokémon
-    uncaughtPokemon.forEach((pokemon) => {
-        let pokemonProbability = 0;
-        let encounterRarity = pokemon.rarity;
+    return { rarityProbabilities, totalCommons, totalRares };
+}
+
+/**
+ * Calculates the per-encounter probability of one variant of a Pokémon on a route.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @param {string} variantType - The variant type.
+ * @param {Object} rates - The encounter rates of the route from getEncounterRates().
+ *
+ * @returns {Number} The probability of encountering the variant.
+ */
+function getVariantProbability(pokemon, variantType, rates) {
+    const encounterRarity = getEncounterRarity(pokemon);
+    let pokemonProbability = rates.rarityProbabilities[encounterRarity];
+
+    // Adjust probability based on total number of common or rare Pokémon
+    if (encounterRarity === "Common" && rates.totalCommons > 0) {
+        pokemonProbability /= rates.totalCommons;
+    } else if (encounterRarity === "Rare" && rates.totalRares > 0) {
+        pokemonProbability /= rates.totalRares;
+    }
+
+    // Select appropriate modifiers based on encounter rarity
+    const selectedModifiers = encounterRarity === "Common" ? activeProbabilityModel.commonModifiers : activeProbabilityModel.rareModifiers;
+    return pokemonProbability * selectedModifiers[variantType];
+}
+
+/**
+ * Calculates the per-encounter probability of each uncaught variant based on the rarity
+ * of the Pokémon, the presence of other Pokémon of the same rarity, and the modifiers
+ * for each variant type. In target mode only wishlisted variants are included.
+ *
+ * @param {Array} filteredPokemonList - The filtered list of Pokémon that match all active filters.
+ * @param {Object} filters - The location, time and type the list was filtered by, defaults to the active filters.
+ *
+ * @returns {Array} The uncaught variants as { pokemon, variant, probability }.
+ */
+function getVariantProbabilities(filteredPokemonList, filters = activeFilters) {
+    const rates = getEncounterRates(filteredPokemonList, filters);
+
+    // Calculate the probability of each uncaught variant that is being hunted
+    return filteredPokemonList.flatMap((pokemon) =>
+        pokemon.variants
+            .filter((variant) => !variant.caught && isHuntTarget(pokemon, variant.type))
+            .map((variant) => ({ pokemon, variant, probability: getVariantProbability(pokemon, variant.type, rates) }))
+    );
+}
+
+/**
+ * Calculates the probability of encountering an uncaught variant on a route, as the
+ * sum of the probabilities from getVariantProbabilities().
+ * 
+ * @param {Array} filteredPokemonList - The filtered list of Pokémon that match all active filters.
+ * @param {Object} filters - The location, time and type the list was filtered by, defaults to the active filters.
+ * 
+ * @returns {Number} The calculated probability of encountering a Pokémon, as "1 in N".
+ */
+function calculateProbability(filteredPokemonList, filters = activeFilters) {
+    const variantProbabilities = getVariantProbabilities(filteredPokemonList, filters);
+
+    // Hide probability and completion display if there are no uncaught Pokémon
+    if (variantProbabilities.length === 0) {
+        return;
+    }
+
+    let routeProbability = variantProbabilities.reduce((sum, { probability }) => sum + probability, 0);
 
-        // Determine encounter rarity for high level common Pokémon
-        if (pokemon.rarity === "Common" && pokemon.previousForms.length > 0) encounterRarity = "Rare";
+    // Calculate and round the final route probability
+    routeProbability = 1 / routeProbability;
+    routeProbability = Math.round(routeProbability);
+    return routeProbability;
+}
 
-        pokemonProbability = rarityProbabilities[encounterRarity];
+/**
+ * Estimates how many encounters it takes to catch every variant in a list, where each
+ * encounter finds variant i with probability p_i (the coupon collector problem with
+ * unequal probabilities). Uses the Poisson approximation
+ * P(T <= t) = Π (1 - e^(-p_i t)), integrated on a logarithmic grid, with variants of
+ * equal probability grouped together so large routes stay fast.
+ *
+ * @param {Array} probabilities - The per-encounter probability of each variant still to catch.
+ * @returns {Object|null} - { mean, sd, median, p90 } in encounters, or null if there is nothing to catch.
+ */
+function estimateCompletion(probabilities) {
+    const groups = new Map();
+    probabilities.filter((p) => p > 0).forEach((p) => groups.set(p, (groups.get(p) || 0) + 1));
+    if (groups.size === 0) return null;
+
+    const entries = [...groups.entries()];
+    const count = probabilities.length;
+    const maxP = Math.max(...groups.keys());
+    const minP = Math.min(...groups.keys());
+
+    // Probability that every variant has been found after t encounters
+    const cdf = (t) => Math.exp(entries.reduce((sum, [p, n]) => sum + n * Math.log1p(-Math.exp(-p * t)), 0));
+
+    // Integrate the survival function over t = e^u, so dt = t du
+    const start = Math.log(0.01 / maxP);
+    const end = Math.log((Math.log(count) + 25) / minP);
+    const steps = 400;
+    const width = (end - start) / steps;
+    let mean = 0.01 / maxP;
+    let secondMoment = mean * mean;
+    for (let i = 0; i <= steps; i++) {
+        const t = Math.exp(start + i * width);
+        const weight = (i === 0 || i === steps ? 0.5 : 1) * width;
+        const survival = 1 - cdf(t);
+        mean += survival * t * weight;
+        secondMoment += 2 * t * survival * t * weight;
+    }
 
-        // Adjust probability based on total number of common or rare Pokémon
-        if (encounterRarity === "Common" && totalCommons > 0) {
-            pokemonProbability /= totalCommons;
-        } else if (encounterRarity === "Rare" && totalRares > 0) {
-            pokemonProbability /= totalRares;
+    // Find the encounters needed for a given chance of completion by bisection
+    const quantile = (target) => {
+        let low = start;
+        let high = end;
+        for (let i = 0; i < 60; i++) {
+            const mid = (low + high) / 2;
+            if (cdf(Math.exp(mid)) < target) low = mid;
+            else high = mid;
         }
+        return Math.exp(high);
+    };
+
+    return {
+        mean,
+        sd: Math.sqrt(Math.max(secondMoment - mean * mean, 0)),
+        median: quantile(0.5),
+        p90: quantile(0.9)
+    };
+}
+
+/**
+ * Formats an encounter estimate for display, e.g. "~1,234 (50%: 1,100 · 90%: 2,050)".
+ *
+ * @param {Object} estimate - The estimate from estimateCompletion().
+ * @returns {string} - The formatted estimate.
+ */
+function formatCompletionEstimate(estimate) {
+    const round = (value) => Math.round(value).toLocaleString();
+    if (estimate.median === undefined) return `~${round(estimate.mean)} ± ${round(estimate.sd)}`;
+    return `~${round(estimate.mean)} (50%: ${round(estimate.median)} · 90%: ${round(estimate.p90)})`;
+}
+
+/**
+ * Estimates the encounters needed to catch every uncaught variant that can be found in
+ * the wild, assuming each variant is hunted on the area where it is most likely. The
+ * per-area estimates are added up, so only the mean and spread are given. Uncaught
+ * variants that are not in the estimate are counted separately: evolution-only forms
+ * (no encounter location but a previous form), Roaming-only ones and any others
+ * (no chance anywhere, or left out by Target Mode or Evolution-Aware hunting).
+ *
+ * @param {string} variantType - Only count this variant type, or every type when empty.
+ * @returns {Object} - { estimate, areas, evolutionOnly, roamingOnly, other }, where estimate is null if nothing can be hunted.
+ */
+function estimateDexCompletion(variantType) {
+    const bestAreas = new Map();
+
+    areasArray.filter((area) => area.name !== "Roaming").forEach((area) => {
+        Object.keys(area.types).forEach((type) => {
+            Object.keys(area.types[type]).forEach((time) => {
+                const filters = { location: area.name, type, time };
+                const areaPokemon = pokemonList.filter((pokemon) => tripleFilter(pokemon, filters));
+                getVariantProbabilities(areaPokemon, filters).forEach(({ pokemon, variant, probability }) => {
+                    if ((variantType && variant.type !== variantType) || probability <= 0) return;
+                    const key = `${pokemon.id}|${variant.type}`;
+                    const best = bestAreas.get(key);
+                    if (!best || probability > best.probability) {
+                        bestAreas.set(key, { area: `${area.name}|${type}|${time}`, probability });
+                    }
+                });
+            });
+        });
+    });
+
+    // Group the variants by the area they are most likely on
+    const areaProbabilities = new Map();
+    bestAreas.forEach(({ area, probability }) => {
+        if (!areaProbabilities.has(area)) areaProbabilities.set(area, []);
+        areaProbabilities.get(area).push(probability);
+    });
 
-        // Select appropriate modifiers based on encounter rarity
-        let selectedModifiers = encounterRarity === "Common" ? commonModifiers : rareModifiers;
+    let mean = 0;
+    let variance = 0;
+    areaProbabilities.forEach((probabilities) => {
+        const estimate = estimateCompletion(probabilities);
+        mean += estimate.mean;
+        variance += estimate.sd * estimate.sd;
+    });
 
-        // Calculate probability contribution for each uncaught variant
+    // Sort the uncaught variants left out of the estimate by why they cannot be hunted
+    const counts = { evolutionOnly: 0, roamingOnly: 0, other: 0 };
+    pokemonList.forEach((pokemon) => {
         pokemon.variants.forEach((variant) => {
-            if (!variant.caught) {
-                routeProbability += pokemonProbability * selectedModifiers[variant.type];
+            if (variant.caught || (variantType && variant.type !== variantType) || bestAreas.has(`${pokemon.id}|${variant.type}`)) return;
+            if (pokemon.locations.length === 0 && pokemon.previousForms.length > 0) {
+                counts.evolutionOnly++;
+            } else if (pokemon.locations.length > 0 && pokemon.locations.every((location) => location.place === "Roaming")) {
+                counts.roamingOnly++;
+            } else {
+                counts.other++;
             }
         });
     });
 
-    // Calculate and round the final route probability
-    routeProbability = 1 / routeProbability;
-    routeProbability = Math.round(routeProbability);
-    return routeProbability;
+    return {
+        estimate: areaProbabilities.size > 0 ? { mean, sd: Math.sqrt(variance) } : null,
+        areas: areaProbabilities.size,
+        ...counts
+    };
 }
 
 /**
@@ -1063,7 +5713,7 @@ function calculateProbability(filteredPokemonList) {
  */
 const areaProbability = (areaPokemon) => {
     let filteredPokemonList = areaPokemon;
-    filteredPokemonList = filteredPokemonList.filter(tripleFilter);
+    filteredPokemonList = filteredPokemonList.filter((pokemon) => tripleFilter(pokemon));
 
     // Calculate the route probability
     let routeProbability = calculateProbability(filteredPokemonList);
@@ -1089,10 +5739,23 @@ const areaProbability = (areaPokemon) => {
 	
 	if (routeProbability != undefined) {
 		document.getElementById("routeProbability").style.display = "block";
-		document.getElementById("routeProbability").textContent = `Route Chance: 1 in ${routeProbability}`;
+		document.getElementById("routeProbability").textContent = `${wishlist.targetMode ? "Target" : "Route"} Chance: 1 in ${routeProbability}`;
 	} else {
 		document.getElementById("routeProbability").style.display = "none";
 	}
+
+    // Estimate the encounters to finish the route (or the selected variant on it)
+    const estimate = estimateCompletion(
+        getVariantProbabilities(filteredPokemonList)
+            .filter(({ variant }) => !activeFilters.variant || variant.type === activeFilters.variant)
+            .map(({ probability }) => probability)
+    );
+    if (estimate) {
+        routeEstimate.style.display = "block";
+        routeEstimate.textContent = `To Finish: ${formatCompletionEstimate(estimate)}`;
+    } else {
+        routeEstimate.style.display = "none";
+    }
     
     updateRouteCounter();
 };
@@ -1104,6 +5767,9 @@ window.onload = () => {
         document.getElementById("toggleCaughtButton").addEventListener("click", toggleCaughtVisibility);
         document.getElementById("clearProgressButton").addEventListener("click", clearProgress);
 
+        // Populate the profile dropdown in the settings menu
+        populateProfileSelect();
+
         // Populate the location filter dropdown with all unique location names
         populateLocationFilter();
 
@@ -1111,5 +5777,14 @@ window.onload = () => {
         populateFilterDropdowns();
         areasArray = generateAreasArray();
         allProbabilities();
+
+        // Pick up a session that was running before the page was reloaded
+        renderSessionPlan();
+
+        // Offer to import progress from a share link
+        checkShareLink();
+
+        // Cache the tool and the Pokémon data for offline use
+        registerServiceWorker();
     });
 };
@@ -0,0 +1,124 @@
+// Hunt simulator worker ---------------------------------------------------------
+/**
+ * Runs Monte Carlo simulations of a hunting plan off the main thread.
+ *
+ * The plan is a list of blocks hunted in order. Each block has the per-encounter
+ * probability of every variant that can be caught on it and an optional encounter
+ * budget; a block without a budget is hunted until its variants are all caught.
+ * Each run stops once the goal number of new catches is reached.
+ *
+ * Message in:  { blocks: [{ encounters, targets: [{ key, probability }] }], goal, runs }
+ * Messages out: { type: "progress", done } and
+ *               { type: "result", runs, finished, mean, median, p90, min, max, histogram }
+ */
+
+const PROGRESS_INTERVAL = 250;
+const HISTOGRAM_BINS = 20;
+
+/**
+ * Draws the number of encounters until the first success of a chance p per encounter.
+ *
+ * @param {number} p - The chance of a success on each encounter.
+ * @returns {number} - The number of encounters, at least 1.
+ */
+const sampleGeometric = (p) => {
+    if (p >= 1) return 1;
+    return Math.max(1, Math.ceil(Math.log(1 - Math.random()) / Math.log(1 - p)));
+};
+
+/**
+ * Simulates one hunt through the plan.
+ *
+ * @param {Array} blocks - The blocks of the plan.
+ * @param {number} goal - How many new catches end the hunt.
+ * @returns {number|null} - The encounters needed, or null if the plan ended first.
+ */
+const simulateHunt = (blocks, goal) => {
+    const caughtKeys = new Set();
+    let encounters = 0;
+
+    for (const block of blocks) {
+        let budget = block.encounters || Infinity;
+
+        while (true) {
+            const remaining = block.targets.filter((target) => !caughtKeys.has(target.key));
+            const total = remaining.reduce((sum, target) => sum + target.probability, 0);
+            if (total <= 0) break;
+
+            // Skip straight to the next encounter that finds something new
+            const wait = sampleGeometric(total);
+            if (wait > budget) {
+                encounters += budget;
+                break;
+            }
+            budget -= wait;
+            encounters += wait;
+
+            // Pick which variant was found, weighted by its probability
+            let pick = Math.random() * total;
+            const found = remaining.find((target) => (pick -= target.probability) <= 0) || remaining[remaining.length - 1];
+            caughtKeys.add(found.key);
+
+            if (caughtKeys.size >= goal) return encounters;
+        }
+    }
+    return null;
+};
+
+/**
+ * Returns the value at a quantile of a sorted list.
+ *
+ * @param {Array} sorted - The values in ascending order.
+ * @param {number} q - The quantile between 0 and 1.
+ * @returns {number} - The value at the quantile.
+ */
+const quantile = (sorted, q) => {
+    return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+};
+
+self.onmessage = (e) => {
+    const { blocks, runs } = e.data;
+    const results = [];
+
+    // Catching every distinct variant in the plan finishes it
+    const targetKeys = new Set(blocks.flatMap((block) => block.targets.map((target) => target.key)));
+    if (targetKeys.size === 0) {
+        self.postMessage({ type: "result", runs: 0, finished: 0, goal: 0 });
+        return;
+    }
+    const goal = Math.min(e.data.goal || targetKeys.size, targetKeys.size);
+
+    for (let run = 1; run <= runs; run++) {
+        const encounters = simulateHunt(blocks, goal);
+        if (encounters !== null) results.push(encounters);
+        if (run % PROGRESS_INTERVAL === 0) self.postMessage({ type: "progress", done: run });
+    }
+
+    results.sort((a, b) => a - b);
+    if (results.length === 0) {
+        self.postMessage({ type: "result", runs, finished: 0, goal });
+        return;
+    }
+
+    // Bin the finished runs into an evenly spaced histogram
+    const min = results[0];
+    const max = results[results.length - 1];
+    const binWidth = Math.max(1, (max - min) / HISTOGRAM_BINS);
+    const histogram = new Array(HISTOGRAM_BINS).fill(0);
+    results.forEach((value) => {
+        histogram[Math.min(HISTOGRAM_BINS - 1, Math.floor((value - min) / binWidth))] += 1;
+    });
+
+    self.postMessage({
+        type: "result",
+        runs,
+        finished: results.length,
+        goal,
+        mean: results.reduce((sum, value) => sum + value, 0) / results.length,
+        median: quantile(results, 0.5),
+        p90: quantile(results, 0.9),
+        min,
+        max,
+        histogram
+    });
+};
@@ -0,0 +1,95 @@
+// Service worker ---------------------------------------------------------
+/**
+ * Keeps the tool working offline and on flaky connections.
+ *
+ * The page, scripts, styles, icons, the bundled compression library and the
+ * Pokémon data are cached when the worker is installed. Requests are answered from
+ * the cache straight away and refreshed from the network in the background, so the
+ * next load gets the new copy. When a refreshed file differs from the cached one,
+ * every open page is told so it can offer a reload.
+ *
+ * Messages out: { type: "update", url }
+ */
+
+const CACHE_NAME = "seasonal-tool-v1";
+const ASSETS = [
+    "./",
+    "index.html",
+    "style.css",
+    "script.js",
+    "qrcode.js",
+    "simulator.js",
+    "vendor/pako.min.js",
+    "pokemon_list.json",
+    "manifest.webmanifest",
+    "icons/icon-192.png",
+    "icons/icon-512.png",
+    "icons/maskable-512.png"
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(ASSETS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+    // Remove the caches of older versions of the worker
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Tells every open page that a cached file has changed.
+ *
+ * @param {string} url - The URL of the file.
+ */
+const notifyUpdate = async (url) => {
+    const clients = await self.clients.matchAll({ type: "window" });
+    clients.forEach((client) => client.postMessage({ type: "update", url }));
+};
+
+/**
+ * Fetches a request from the network and stores the response in the cache,
+ * notifying the pages when it differs from the cached copy.
+ *
+ * @param {Request} request - The request.
+ * @param {Response|undefined} cached - A copy of the cached response, if any, whose body has not been read.
+ * @returns {Promise<Response>} - The network response.
+ */
+const refresh = async (request, cached) => {
+    const response = await fetch(request);
+    if (!response.ok) return response;
+
+    const cache = await caches.open(CACHE_NAME);
+    if (cached) {
+        const [oldText, newText] = await Promise.all([cached.text(), response.clone().text()]);
+        if (oldText !== newText) {
+            await cache.put(request, response.clone());
+            notifyUpdate(request.url);
+        }
+    } else {
+        await cache.put(request, response.clone());
+    }
+    return response;
+};
+
+self.addEventListener("fetch", (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== "GET" || url.origin !== self.location.origin) return;
+
+    event.respondWith((async () => {
+        // Pages opened with a share link or query string use the cached page
+        const cached = await caches.match(event.request, { ignoreSearch: true }) ||
+            (event.request.mode === "navigate" ? await caches.match("index.html") : undefined);
+
+        // Copy the cached response before the page reads its body, so it can still be compared
+        const network = refresh(event.request, cached ? cached.clone() : undefined);
+        if (cached) {
+            event.waitUntil(network.catch((error) => console.warn("Could not refresh", url.pathname, error)));
+            return cached;
+        }
+        return network;
+    })());
+});
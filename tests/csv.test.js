@@ -0,0 +1,38 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScript } = require("./load-script");
+
+let app;
+before(async () => {
+    app = await loadScript();
+});
+
+const parseCsv = (text) => app.json(`parseCsv(${JSON.stringify(text)})`);
+
+test("parseCsv splits rows and fields", () => {
+    assert.deepEqual(parseCsv("id,name\n1,Bulbasaur\n2,Ivysaur"), [["id", "name"], ["1", "Bulbasaur"], ["2", "Ivysaur"]]);
+});
+
+test("parseCsv accepts Windows and old Mac line breaks", () => {
+    assert.deepEqual(parseCsv("a,b\r\n1,2\r3,4"), [["a", "b"], ["1", "2"], ["3", "4"]]);
+});
+
+test("parseCsv leaves out empty lines, rows of empty fields and a trailing line break", () => {
+    assert.deepEqual(parseCsv("a,b\n\n1,2\n,\n"), [["a", "b"], ["1", "2"]]);
+});
+
+test("parseCsv keeps empty fields", () => {
+    assert.deepEqual(parseCsv("a,,c\n1,2,"), [["a", "", "c"], ["1", "2", ""]]);
+});
+
+test("parseCsv reads quoted commas, quotes and line breaks", () => {
+    assert.deepEqual(
+        parseCsv('name,locations\n"Mr. Mime","Route 1, Day\nRoute 2"\n"Say ""hi""",x'),
+        [["name", "locations"], ["Mr. Mime", "Route 1, Day\nRoute 2"], ['Say "hi"', "x"]]
+    );
+});
+
+test("parseCsv reads back a field written by toCsvField", () => {
+    const field = 'Quote " comma , line\nbreak';
+    assert.deepEqual(app.json(`parseCsv(toCsvField(${JSON.stringify(field)}))`), [[field]]);
+});
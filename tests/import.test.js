@@ -0,0 +1,87 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScript } = require("./load-script");
+
+let app;
+beforeEach(async () => {
+    app = await loadScript();
+});
+
+/**
+ * Sets variants of the active profile the way the cards do, recording the catch history.
+ *
+ * @param {Array} changes - The changes as { id, variant, to }.
+ */
+const setVariants = (changes) => app.run(`applyVariantChanges(${JSON.stringify(changes)}, "toggle")`);
+
+const buildImportChanges = (data, strategy) => app.json(`buildImportChanges(${JSON.stringify(data)}, "${strategy}")`);
+
+/**
+ * Builds decoded code data in the shape decodeExportCode() returns.
+ *
+ * @param {Array} pokemon - The Pokémon as { id, variants }.
+ * @param {Object} options - The changed times and meta, if any.
+ * @returns {Object} - The data.
+ */
+const codeData = (pokemon, { changed = {}, meta = null } = {}) => ({ pokemonList: pokemon, model: null, changed, meta });
+
+test("hashString matches 32-bit FNV-1a", () => {
+    assert.equal(app.run(`hashString("")`), "811c9dc5");
+    assert.equal(app.run(`hashString("a")`), "e40c292c");
+    assert.equal(app.run(`hashString("foobar")`), "bf9cf968");
+});
+
+test("hashString tells apart texts that differ in one character", () => {
+    assert.notEqual(app.run(`hashString("Route 1 Day")`), app.run(`hashString("Route 1 Dax")`));
+});
+
+test("union keeps catches from both sides", () => {
+    setVariants([{ id: 1, variant: "Shiny", to: { caught: true } }]);
+    const result = buildImportChanges(codeData([{ id: 1, variants: [{ type: "Dark", caught: true }] }]), "union");
+
+    assert.deepEqual(result.changes, [{ id: 1, variant: "Dark", to: { caught: true } }]);
+    assert.equal(result.caught, 1);
+    assert.equal(result.uncaught, 0);
+});
+
+test("replace uncatches variants the code does not have", () => {
+    setVariants([{ id: 1, variant: "Shiny", to: { caught: true } }]);
+    const result = buildImportChanges(codeData([{ id: 1, variants: [{ type: "Dark", caught: true }] }]), "replace");
+
+    assert.deepEqual(result.changes, [
+        { id: 1, variant: "Dark", to: { caught: true } },
+        { id: 1, variant: "Shiny", to: { caught: false } }
+    ]);
+    assert.equal(result.caught, 1);
+    assert.equal(result.uncaught, 1);
+});
+
+test("keep-newer takes the side that changed a variant last", () => {
+    setVariants([{ id: 1, variant: "Shiny", to: { caught: true } }]);
+    const ourTime = app.run(`catchHistory[catchHistory.length - 1].time`);
+    const pokemon = [{ id: 1, variants: [{ type: "Shiny", caught: false }] }];
+
+    const newer = buildImportChanges(codeData(pokemon, { changed: { "1|Shiny": ourTime + 1000 } }), "keep-newer");
+    assert.deepEqual(newer.changes, [{ id: 1, variant: "Shiny", to: { caught: false } }]);
+
+    const older = buildImportChanges(codeData(pokemon, { changed: { "1|Shiny": ourTime - 1000 } }), "keep-newer");
+    assert.deepEqual(older.changes, []);
+});
+
+test("quantities are only replaced when the code tracks them", () => {
+    setVariants([{ id: 1, variant: "Shiny", to: { caught: true, owned: 3, reserved: 1 } }]);
+    const pokemon = [{ id: 1, variants: [{ type: "Shiny", caught: true, owned: 1, reserved: 0 }] }];
+
+    const untracked = buildImportChanges(codeData(pokemon, { meta: { trackQuantities: false } }), "replace");
+    assert.deepEqual(untracked.changes, []);
+
+    const tracked = buildImportChanges(codeData(pokemon, { meta: { trackQuantities: true } }), "replace");
+    assert.deepEqual(tracked.changes, [{ id: 1, variant: "Shiny", to: { caught: true, owned: 1, reserved: 0 } }]);
+});
+
+test("unknown ids are counted but not changed", () => {
+    const result = buildImportChanges(codeData([{ id: 99999, variants: [{ type: "Normal", caught: true }] }]), "union");
+
+    assert.equal(result.unknownIds, 1);
+    assert.deepEqual(result.changes, []);
+});
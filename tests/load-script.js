@@ -0,0 +1,117 @@
+// Test loader -----------------------------------------------------------------
+/**
+ * Runs script.js in a fresh context so its functions can be tested with plain node.
+ *
+ * The page elements are replaced with a stand-in that accepts any property or call,
+ * so only code that does not depend on the page's output can be tested this way.
+ * Storage lives in memory and the Pokémon data is read from pokemon_list.json.
+ *
+ * Usage:
+ *   const app = await loadScript();
+ *   app.json("parseCsv('a,b')");
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Creates a stand-in for a page element. Every property is another stand-in and
+ * calling it returns one, so code that wires up or renders the page runs without
+ * effect. Lists of elements are empty.
+ *
+ * @returns {Proxy} - The stand-in.
+ */
+const createElementStub = () => {
+    const children = new Map();
+    const stub = new Proxy(function () {}, {
+        get: (target, key) => {
+            if (key === Symbol.iterator) return [][Symbol.iterator];
+            if (key === Symbol.toPrimitive) return () => "";
+            if (key === "then") return undefined;
+            if (key === "querySelectorAll" || key === "getElementsByClassName") return () => [];
+            if (!children.has(key)) children.set(key, createElementStub());
+            return children.get(key);
+        },
+        set: (target, key, value) => {
+            children.set(key, value);
+            return true;
+        },
+        apply: () => createElementStub()
+    });
+    return stub;
+};
+
+/**
+ * Creates local storage kept in memory.
+ *
+ * @param {Object} initial - The stored values, keyed by storage key.
+ * @returns {Object} - The storage.
+ */
+const createStorage = (initial = {}) => {
+    const values = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: (key) => values.delete(key),
+        clear: () => values.clear(),
+        key: (index) => [...values.keys()][index] ?? null,
+        get length() {
+            return values.size;
+        }
+    };
+};
+
+/**
+ * Loads script.js with its libraries and the Pokémon data, the way the page does on load.
+ *
+ * @param {Object} storage - Local storage values to start with, keyed by storage key.
+ * @returns {Promise<Object>} - { context, run, json } where run evaluates code inside the script's
+ * scope and json does the same but returns a copy of the result made with JSON, so it can be
+ * compared with values made by the tests.
+ */
+const loadScript = async (storage = {}) => {
+    const document = createElementStub();
+    const context = vm.createContext({
+        console,
+        document,
+        addEventListener: () => {},
+        matchMedia: () => ({ matches: false, addEventListener: () => {} }),
+        navigator: {},
+        location: { hash: "", search: "", href: "http://localhost/", origin: "http://localhost", pathname: "/" },
+        history: { replaceState: () => {} },
+        localStorage: createStorage(storage),
+        indexedDB: undefined,
+        alert: () => {},
+        confirm: () => true,
+        prompt: (message, defaultValue) => defaultValue,
+        setTimeout,
+        clearTimeout,
+        atob,
+        btoa,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        Blob,
+        fetch: async (file) => {
+            const text = fs.readFileSync(path.join(ROOT, file), "utf8");
+            return { ok: true, json: async () => JSON.parse(text), text: async () => text };
+        }
+    });
+    context.window = context;
+    context.self = context;
+
+    ["vendor/pako.min.js", "qrcode.js", "script.js"].forEach((file) => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+    });
+
+    const run = (code) => vm.runInContext(code, context);
+    await run("loadPokemon()");
+    run("areasArray = generateAreasArray()");
+    const json = (code) => JSON.parse(run(`JSON.stringify(${code})`));
+    return { context, run, json };
+};
+
+module.exports = { loadScript, createStorage };
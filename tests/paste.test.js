@@ -0,0 +1,62 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScript } = require("./load-script");
+
+let app;
+beforeEach(async () => {
+    app = await loadScript();
+});
+
+const clipPasteText = (text, limit, separator) => app.run(`clipPasteText(${JSON.stringify(text)}, ${limit}, ${JSON.stringify(separator)})`);
+
+/**
+ * Renders a template made from the evolve list template with some properties replaced.
+ *
+ * @param {Object} overrides - The properties to replace.
+ * @returns {string} - The text.
+ */
+const renderTemplate = (overrides) => app.run(`renderPasteTemplate({ ...DEFAULT_PASTE_TEMPLATES[0], ...${JSON.stringify(overrides)} })`);
+
+test("clipPasteText leaves text that fits alone", () => {
+    assert.equal(clipPasteText("a, b, c", 7, ", "), "a, b, c");
+});
+
+test("clipPasteText cuts at the last whole entry and marks the cut", () => {
+    assert.equal(clipPasteText("Bulbasaur, Ivysaur, Venusaur", 22, ", "), "Bulbasaur, Ivysaur …");
+    assert.equal(clipPasteText("Bulbasaur\nIvysaur\nVenusaur", 20, "\n"), "Bulbasaur\nIvysaur …");
+});
+
+test("clipPasteText cuts inside an entry when no whole entry fits", () => {
+    assert.equal(clipPasteText("Bulbasaur, Ivysaur", 6, ", "), "Bulb …");
+});
+
+test("renderPasteTemplate fills the profile and route placeholders", () => {
+    assert.equal(renderTemplate({ text: "{profile} on {location}" }), "Default on no route selected");
+    app.run(`activeFilters.location = "Route 1"; activeFilters.time = "Day"`);
+    assert.equal(renderTemplate({ text: "{location}" }), "Route 1 Day");
+});
+
+test("renderPasteTemplate keeps unknown placeholders", () => {
+    assert.equal(renderTemplate({ text: "{nothing}" }), "{nothing}");
+});
+
+test("renderPasteTemplate lists empty sources as None, but leaves the evolve list empty", () => {
+    assert.equal(renderTemplate({ text: "Haves: {haves}" }), "Haves: None");
+    assert.equal(renderTemplate({ text: "{evolve}" }), "");
+});
+
+test("renderPasteTemplate lists entries with the line format", () => {
+    app.run(`applyVariantChanges([{ id: 1, variant: "Shiny", to: { caught: true } }], "toggle")`);
+    assert.equal(renderTemplate({ text: "{haves}", line: "{v} {name}" }), "S Bulbasaur");
+});
+
+test("renderPasteTemplate shares the length limit between the lists", () => {
+    app.run(`applyVariantChanges(pokemonList.slice(0, 100).map((pokemon) =>
+        ({ id: pokemon.id, variant: pokemon.variants[0].type, to: { caught: true } })), "toggle")`);
+    const text = renderTemplate({ text: "H: {haves}\nN: {needs}", line: "{name}", separator: ", ", maxLength: 300 });
+    const [haves, needs] = text.split("\n");
+
+    assert.ok(text.length <= 300, `${text.length} characters`);
+    assert.ok(haves.startsWith("H: ") && haves.endsWith(" …"));
+    assert.ok(needs.startsWith("N: ") && needs.endsWith(" …"));
+});
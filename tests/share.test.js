@@ -0,0 +1,62 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScript } = require("./load-script");
+
+let app;
+beforeEach(async () => {
+    app = await loadScript();
+});
+
+/**
+ * Lists the caught variants of the active profile.
+ *
+ * @returns {Array} - The variants as "id|variant".
+ */
+const getCaughtKeys = () => app.json(`pokemonList.flatMap((pokemon) => pokemon.variants
+    .filter((variant) => variant.caught).map((variant) => pokemon.id + "|" + variant.type))`).sort();
+
+test("a share code decodes to the caught variants it was made from", () => {
+    const lastId = app.run(`pokemonList[pokemonList.length - 1].id`);
+    app.run(`applyVariantChanges(${JSON.stringify([
+        { id: 1, variant: "Normal", to: { caught: true } },
+        { id: 1, variant: "Shiny", to: { caught: true } },
+        { id: 25, variant: "Shadow", to: { caught: true } },
+        { id: lastId, variant: "Dark", to: { caught: true } }
+    ])}, "toggle")`);
+
+    const decoded = app.json(`decodeShareCode(encodeShareCode())`);
+    const keys = decoded.pokemonList.flatMap((pokemon) => pokemon.variants.map((variant) => `${pokemon.id}|${variant.type}`)).sort();
+
+    assert.deepEqual(keys, getCaughtKeys());
+    assert.equal(decoded.shared, true);
+    assert.equal(decoded.meta, null);
+});
+
+test("importing a share code into an empty profile restores the catches", () => {
+    app.run(`applyVariantChanges(pokemonList.slice(0, 50).flatMap((pokemon) =>
+        pokemon.variants.map((variant) => ({ id: pokemon.id, variant: variant.type, to: { caught: true } }))), "toggle")`);
+    const caught = getCaughtKeys();
+    const code = app.run(`encodeShareCode()`);
+
+    app.run(`applyVariantChanges(pokemonList.flatMap((pokemon) =>
+        pokemon.variants.map((variant) => ({ id: pokemon.id, variant: variant.type, to: { caught: false } }))), "toggle")`);
+    assert.deepEqual(getCaughtKeys(), []);
+
+    app.run(`applyVariantChanges(buildImportChanges(decodeShareCode("${code}"), "union").changes, "import")`);
+    assert.deepEqual(getCaughtKeys(), caught);
+});
+
+test("a share code only uses URL-safe characters", () => {
+    app.run(`applyVariantChanges(pokemonList.filter((pokemon) => pokemon.id % 3 === 0).map((pokemon) =>
+        ({ id: pokemon.id, variant: pokemon.variants[0].type, to: { caught: true } })), "toggle")`);
+
+    assert.match(app.run(`encodeShareCode()`), /^[\w-]+$/);
+});
+
+test("decodeShareCode rejects codes from newer versions and damaged codes", () => {
+    const newer = app.run(`btoa(String.fromCharCode(...pako.deflateRaw(new Uint8Array([SHARE_CODE_VERSION + 1, 0, 1, 0]))))`);
+    assert.throws(() => app.run(`decodeShareCode("${newer}")`), /newer than this version/);
+
+    const truncated = app.run(`btoa(String.fromCharCode(...pako.deflateRaw(new Uint8Array([SHARE_CODE_VERSION, 0, 16, 0]))))`);
+    assert.throws(() => app.run(`decodeShareCode("${truncated}")`), /Invalid share code/);
+});